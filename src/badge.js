@@ -0,0 +1,107 @@
+import { writeFile } from './files';
+import { getMetricPercentages } from './metrics';
+
+/**
+ * The badge colours, as named by shields.io.
+ */
+const colors = {
+  brightgreen: '#4c1',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  lightgrey: '#9f9f9f',
+};
+
+/**
+ * Get the colour for a percentage, with a band for each 10% below the threshold.
+ */
+const getColor = (percentage, threshold) => {
+  if (percentage === '-') {
+    return 'lightgrey';
+  }
+
+  if (percentage >= threshold) {
+    return 'brightgreen';
+  }
+
+  if (percentage >= threshold - 10) {
+    return 'yellow';
+  }
+
+  return percentage >= threshold - 20 ? 'orange' : 'red';
+};
+
+/**
+ * Estimate the width of some text in 11px Verdana.
+ */
+const getTextWidth = (text) => [...text].reduce((acc, char) => {
+  if ('.,:;!il1 '.includes(char)) {
+    return acc + 4;
+  }
+
+  return acc + (char === '%' ? 12 : 7);
+}, 0);
+
+/**
+ * Build a badge in the shields.io flat style.
+ */
+const buildSvg = (label, text, color) => {
+  const labelWidth = getTextWidth(label) + 10;
+  const textWidth = getTextWidth(text) + 10;
+  const width = labelWidth + textWidth;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${label}: ${text}">`,
+    `  <title>${label}: ${text}</title>`,
+    '  <linearGradient id="s" x2="0" y2="100%">',
+    '    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>',
+    '    <stop offset="1" stop-opacity=".1"/>',
+    '  </linearGradient>',
+    '  <clipPath id="r">',
+    `    <rect width="${width}" height="20" rx="3" fill="#fff"/>`,
+    '  </clipPath>',
+    '  <g clip-path="url(#r)">',
+    `    <rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `    <rect x="${labelWidth}" width="${textWidth}" height="20" fill="${colors[color]}"/>`,
+    `    <rect width="${width}" height="20" fill="url(#s)"/>`,
+    '  </g>',
+    '  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    `    <text x="${labelWidth / 2}" y="14">${label}</text>`,
+    `    <text x="${labelWidth + textWidth / 2}" y="14">${text}</text>`,
+    '  </g>',
+    '</svg>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Write a badge for a project-level metric, as an SVG and/or a shields.io
+ * endpoint JSON file.
+ */
+export const writeBadge = (projectMetrics, {
+  badgePath,
+  badgeEndpointPath,
+  badgeMetric,
+  threshold,
+}) => {
+  const percentages = getMetricPercentages(projectMetrics);
+  // Unknown metrics are warned about when the settings are loaded
+  const metric = Object.keys(percentages).includes(badgeMetric) ? badgeMetric : 'lines';
+  const percentage = percentages[metric];
+  const label = 'coverage';
+  const text = percentage === '-' ? 'unknown' : `${percentage}%`;
+  const color = getColor(percentage, threshold[metric]);
+
+  if (badgePath) {
+    writeFile(badgePath, buildSvg(label, text, color));
+  }
+
+  if (badgeEndpointPath) {
+    writeFile(badgeEndpointPath, `${JSON.stringify({
+      schemaVersion: 1,
+      label,
+      message: text,
+      color,
+    }, null, 2)}\n`);
+  }
+};
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { run } from './cli';
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+}).catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = 2;
+});
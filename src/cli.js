@@ -0,0 +1,185 @@
+import { execFileSync } from 'child_process';
+
+import { coverage } from './plugin';
+
+const usage = `Usage: danger-coverage [options]
+
+Preview the coverage report for the files changed since a base ref.
+
+Options:
+  --base <ref>      The ref to compare against (default: origin/HEAD)
+  --report <path>   The path, or glob, to the coverage report
+  --format <name>   Print the report as \`markdown\` or \`text\` (default: markdown)
+  --help            Show this message
+
+Other settings are read from the usual config files.`;
+
+/**
+ * Parse the command line arguments.
+ */
+const parseArgs = (argv) => {
+  const args = {
+    base: 'origin/HEAD',
+    report: null,
+    format: 'markdown',
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const key = flag.replace(/^--/, '');
+
+    if (key === 'help') {
+      args.help = true;
+    } else if (key in args && flag.startsWith('--')) {
+      args[key] = inlineValue ?? argv[i + 1];
+      i += inlineValue === undefined ? 1 : 0;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!['markdown', 'text'].includes(args.format)) {
+    throw new Error(`Unknown format: ${args.format}`);
+  }
+
+  return args;
+};
+
+/**
+ * Run git, returning its output.
+ */
+const git = (args) => execFileSync('git', args, { encoding: 'utf8' });
+
+/**
+ * Strip markdown and HTML formatting for the terminal.
+ */
+const stripFormatting = (text) => text
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\*\*/g, '')
+  .replace(/<br>/g, '')
+  .replace(/<sup>(\d+)<\/sup>/g, ' [$1]')
+  .replace(/:white_check_mark:/g, 'pass')
+  .replace(/:x:/g, 'FAIL')
+  .replace(/:[a-z0-9_+-]+:\s?/g, '');
+
+/**
+ * Convert a block of markdown table rows into aligned columns.
+ */
+const formatTable = (tableLines) => {
+  const rows = tableLines
+    .filter((line) => !/^\|(\s*:?-+:?\s*\|)+$/.test(line)) // Remove the separator
+    .map((line) => line.slice(1, -1).split('|').map(stripFormatting));
+
+  const widths = rows[0].map((_, index) => Math.max(...rows.map((row) => row[index].length)));
+
+  return rows.map((row) => row
+    .map((cell, index) => cell.padEnd(widths[index]))
+    .join('  ')
+    .trimEnd());
+};
+
+/**
+ * Convert the markdown report into text for the terminal.
+ */
+const toText = (report) => {
+  const lines = report
+    .split('\n')
+    .filter((line) => !/^(<\/?details>|<\/?summary>|```)$/.test(line))
+    .map((line) => line.replace(/^(## |> )/, ''));
+
+  const output = [];
+
+  lines.forEach((line, index) => {
+    if (!line.startsWith('|')) {
+      output.push(stripFormatting(line));
+    } else if (!lines[index - 1]?.startsWith('|')) {
+      const end = lines.findIndex((other, i) => i > index && !other.startsWith('|'));
+
+      output.push(...formatTable(lines.slice(index, end === -1 ? undefined : end)));
+    }
+  });
+
+  return output.join('\n');
+};
+
+/**
+ * Set up the Danger globals used by the plugin, collecting the results.
+ */
+const setupGlobals = (base, changedFiles) => {
+  const results = {
+    markdown: [],
+    messages: [],
+    failed: false,
+  };
+
+  const log = (level) => (msg, file, line) => {
+    results.messages.push(`${level}: ${file ? `${file}:${line} ` : ''}${msg}`);
+  };
+
+  Object.assign(global, {
+    danger: {
+      git: {
+        created_files: [],
+        modified_files: changedFiles,
+        commits: [],
+        diffForFile: async (file) => ({ diff: git(['diff', base, '--', file]) }),
+      },
+    },
+    markdown: (msg) => results.markdown.push(msg),
+    message: log('message'),
+    warn: log('warn'),
+    fail: (...args) => {
+      results.failed = true;
+      log('fail')(...args);
+    },
+  });
+
+  return results;
+};
+
+/**
+ * Run the coverage checks for the files changed since the base ref, resolving
+ * with the exit code.
+ */
+export const run = async (argv) => {
+  let args;
+
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${usage}\n`);
+
+    return 2;
+  }
+
+  if (args.help) {
+    process.stdout.write(`${usage}\n`);
+
+    return 0;
+  }
+
+  let changedFiles;
+
+  try {
+    // Deleted files can't be reported on, so only list those created or modified
+    changedFiles = git(['diff', '--name-only', '--diff-filter=d', args.base])
+      .split('\n')
+      .filter((file) => !!file);
+  } catch (err) {
+    process.stderr.write(`Could not get the files changed since ${args.base}: ${err.message}\n`);
+
+    return 2;
+  }
+
+  const results = setupGlobals(args.base, changedFiles);
+  const result = await coverage(args.report ? { cloverReportPath: args.report } : {});
+
+  results.markdown.forEach((report) => {
+    process.stdout.write(`${args.format === 'text' ? toText(report) : report}\n`);
+  });
+
+  results.messages.forEach((msg) => process.stderr.write(`${msg}\n`));
+
+  return results.failed || (result && !result.passed) ? 1 : 0;
+};
@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * The default settings.
+ */
+const defaultOptions = {
+  successMessage: ':+1: Test coverage is looking good.',
+  failureMessage: 'Test coverage is looking a little low for the files created '
+    + 'or modified in this PR, perhaps we need to improve this.',
+  cloverReportPath: null,
+  maxRows: 3,
+  maxChars: 100,
+  maxUncovered: 10,
+  wrapFilenames: true,
+  showAllFiles: false,
+  warnOnNoReport: true,
+  sourceRoots: ['src/main/java', 'src/main/kotlin'],
+  baseReportPath: null,
+  maxDecrease: null,
+  decreaseAction: 'warn',
+  patchCoverage: false,
+  patchThreshold: 80,
+  thresholdAction: null,
+  thresholdOverrides: [],
+  include: [],
+  exclude: [],
+  inlineComments: false,
+  maxInlineComments: 10,
+  sortBy: null,
+  sourceFiles: [],
+  pathMappings: [],
+  linkTemplate: null,
+  jsonReportPath: null,
+  badgePath: null,
+  badgeEndpointPath: null,
+  badgeMetric: 'lines',
+  renderer: null,
+  threshold: {
+    statements: 80,
+    branches: 80,
+    functions: 80,
+    lines: 80,
+  },
+};
+
+/**
+ * The types allowed for each setting.
+ */
+const schema = {
+  successMessage: ['string'],
+  failureMessage: ['string'],
+  cloverReportPath: ['string', 'array', 'null'],
+  maxRows: ['number'],
+  maxChars: ['number'],
+  maxUncovered: ['number'],
+  wrapFilenames: ['boolean'],
+  showAllFiles: ['boolean'],
+  warnOnNoReport: ['boolean'],
+  sourceRoots: ['array'],
+  baseReportPath: ['string', 'array', 'null'],
+  maxDecrease: ['number', 'null'],
+  decreaseAction: ['string'],
+  patchCoverage: ['boolean'],
+  patchThreshold: ['number'],
+  thresholdAction: ['string', 'object', 'null'],
+  thresholdOverrides: ['array'],
+  include: ['string', 'array'],
+  exclude: ['string', 'array'],
+  inlineComments: ['string', 'boolean'],
+  maxInlineComments: ['number'],
+  sortBy: ['string', 'null'],
+  sourceFiles: ['string', 'array'],
+  pathMappings: ['array'],
+  linkTemplate: ['string', 'function', 'null'],
+  jsonReportPath: ['string', 'null'],
+  badgePath: ['string', 'null'],
+  badgeEndpointPath: ['string', 'null'],
+  badgeMetric: ['string'],
+  renderer: ['object', 'null'],
+  threshold: ['object'],
+};
+
+/**
+ * The types allowed for each key of the entries in list settings.
+ */
+const entrySchemas = {
+  thresholdOverrides: {
+    files: ['string', 'array'],
+    threshold: ['object', 'undefined'],
+  },
+  pathMappings: {
+    from: ['string'],
+    to: ['string'],
+  },
+};
+
+const thresholdKeys = ['statements', 'branches', 'functions', 'lines'];
+
+const actions = ['fail', 'warn'];
+
+/**
+ * The values allowed for settings that only accept certain values.
+ */
+const allowedValues = {
+  decreaseAction: actions,
+  thresholdAction: [...actions, null],
+  inlineComments: ['fail', 'warn', 'message', 'markdown', true, false],
+  sortBy: [...thresholdKeys, 'uncovered', 'path', 'failing', null],
+  badgeMetric: thresholdKeys,
+};
+
+/**
+ * Get the type of a value, as named in the schema.
+ */
+const getType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+/**
+ * Read a JSON file, warning if it can't be parsed.
+ */
+const readJson = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    warn(`Could not parse \`${path.basename(filePath)}\`: ${err.message}`);
+
+    return null;
+  }
+};
+
+/**
+ * Load a JavaScript config file, warning if it can't be loaded.
+ */
+const readJs = (filePath) => {
+  try {
+    // The config file is only known, and only loaded, at runtime
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const config = require(filePath);
+
+    return config?.default || config;
+  } catch (err) {
+    warn(`Could not load \`${path.basename(filePath)}\`: ${err.message}`);
+
+    return null;
+  }
+};
+
+/**
+ * Load the settings from the first config file found in the repo.
+ */
+const loadConfig = () => {
+  const rcPath = path.resolve('.dangercoveragerc');
+  const jsPath = path.resolve('danger-coverage.config.js');
+  const packagePath = path.resolve('package.json');
+
+  if (fs.existsSync(rcPath)) {
+    return readJson(rcPath) || {};
+  }
+
+  if (fs.existsSync(jsPath)) {
+    return readJs(jsPath) || {};
+  }
+
+  if (fs.existsSync(packagePath)) {
+    return readJson(packagePath)?.dangerCoverage || {};
+  }
+
+  return {};
+};
+
+/**
+ * Get a warning if a value is not of one of the allowed types.
+ */
+const getTypeWarning = (value, types, name) => {
+  if (types.includes(getType(value))) {
+    return null;
+  }
+
+  return `The coverage setting \`${name}\` should be of type ${types.join(' or ')}, `
+    + `but got ${getType(value)}.`;
+};
+
+/**
+ * Get the warnings for an entry in a list setting.
+ */
+const getEntryWarnings = (entry, entrySchema, name) => {
+  const warnings = getType(entry) === 'object'
+    ? Object.entries(entrySchema).map(([key, types]) => (
+      getTypeWarning(entry[key], types, `${name}.${key}`)
+    ))
+    : [getTypeWarning(entry, ['object'], name)];
+
+  return warnings
+    .filter((warning) => !!warning)
+    .map((warning) => `${warning} The entry will be ignored.`);
+};
+
+/**
+ * Get the warnings for the entries in each list setting.
+ */
+const getListWarnings = (opts) => [].concat(...Object.entries(entrySchemas)
+  .map(([key, entrySchema]) => [].concat(...[].concat(opts[key] || []).map((entry, index) => (
+    getEntryWarnings(entry, entrySchema, `${key}[${index}]`)
+  )))));
+
+/**
+ * Leave out any entries in list settings that are not valid.
+ */
+const removeInvalidEntries = (opts) => Object.entries(entrySchemas)
+  .reduce((acc, [key, entrySchema]) => {
+    if (getType(acc[key]) !== 'array') {
+      return acc;
+    }
+
+    return {
+      ...acc,
+      [key]: acc[key].filter((entry) => !getEntryWarnings(entry, entrySchema, key).length),
+    };
+  }, opts);
+
+/**
+ * Get a warning if a threshold is not a percentage.
+ */
+const getPercentageWarning = (value, name) => {
+  if (typeof value === 'number' && value >= 0 && value <= 100) {
+    return null;
+  }
+
+  return `The coverage setting \`${name}\` should be a number between 0 and 100, `
+    + `but got \`${JSON.stringify(value)}\`.`;
+};
+
+/**
+ * Get a warning if a value is not one of those allowed.
+ */
+const getValueWarning = (value, values, name) => {
+  if (values.includes(value)) {
+    return null;
+  }
+
+  return `The coverage setting \`${name}\` should be one of `
+    + `${values.map((allowed) => `\`${allowed}\``).join(', ')}, but got \`${JSON.stringify(value)}\`.`;
+};
+
+/**
+ * Get the warnings for the actions to take for each metric.
+ */
+const getThresholdActionWarnings = (thresholdAction) => Object.entries(thresholdAction)
+  .map(([key, value]) => (
+    [...thresholdKeys, 'patch'].includes(key)
+      ? getValueWarning(value, allowedValues.thresholdAction, `thresholdAction.${key}`)
+      : `Unknown key \`${key}\` in the coverage setting \`thresholdAction\`.`
+  ));
+
+/**
+ * Get the warnings for a set of thresholds.
+ */
+const getThresholdWarnings = (threshold, name) => Object.entries(threshold || {})
+  .map(([key, value]) => (
+    thresholdKeys.includes(key)
+      ? getPercentageWarning(value, `${name}.${key}`)
+      : `Unknown key \`${key}\` in the coverage setting \`${name}\`.`
+  ));
+
+/**
+ * Get the warnings for any unknown or invalid settings.
+ */
+const getWarnings = (opts) => [
+  ...Object.entries(opts).map(([key, value]) => {
+    if (!schema[key]) {
+      return `Unknown coverage setting \`${key}\`.`;
+    }
+
+    if (!schema[key].includes(getType(value))) {
+      return getTypeWarning(value, schema[key], key);
+    }
+
+    if (allowedValues[key] && getType(value) !== 'object') {
+      return getValueWarning(value, allowedValues[key], key);
+    }
+
+    return null;
+  }),
+  ...(getType(opts.thresholdAction) === 'object' ? getThresholdActionWarnings(opts.thresholdAction) : []),
+  ...getThresholdWarnings(opts.threshold, 'threshold'),
+  typeof opts.patchThreshold === 'number' && getPercentageWarning(opts.patchThreshold, 'patchThreshold'),
+  ...[].concat(...[].concat(opts.thresholdOverrides || []).map((override, index) => (
+    getType(override?.threshold) === 'object'
+      ? getThresholdWarnings(override.threshold, `thresholdOverrides[${index}].threshold`)
+      : []
+  ))),
+  ...getListWarnings(opts),
+].filter((warning) => !!warning);
+
+/**
+ * Get the settings, from the defaults, any config file and the given settings,
+ * in increasing order of precedence, warning about any that are not valid.
+ */
+export const getOptions = (initialOpts = {}) => {
+  const config = loadConfig();
+  const thresholds = [defaultOptions.threshold, config.threshold, initialOpts.threshold]
+    .filter((threshold) => threshold !== undefined);
+  const opts = {
+    ...defaultOptions,
+    ...config,
+    ...initialOpts,
+    // Thresholds that aren't objects are warned about and left out
+    threshold: thresholds
+      .filter((threshold) => getType(threshold) === 'object')
+      .reduce((acc, threshold) => ({ ...acc, ...threshold }), {}),
+  };
+
+  [
+    ...thresholds.map((threshold) => getTypeWarning(threshold, schema.threshold, 'threshold')),
+    ...getWarnings(opts),
+  ]
+    .filter((warning) => !!warning)
+    .forEach((warning) => warn(warning));
+
+  return removeInvalidEntries(opts);
+};
@@ -0,0 +1,57 @@
+/**
+ * Get the added line numbers from a structured diff.
+ */
+const getStructuredAddedLines = ({ chunks = [] }) => [].concat(...chunks.map(({ changes = [] }) => (
+  changes
+    .filter(({ type }) => type === 'add')
+    .map(({ ln }) => Number(ln))
+)));
+
+/**
+ * Get the added line numbers from a unified diff.
+ */
+const getUnifiedAddedLines = (diff = '') => {
+  const addedLines = [];
+  let lineNumber = null;
+
+  diff.split(/\r?\n/).forEach((diffLine) => {
+    const [, hunkStart] = diffLine.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/) || [];
+
+    if (hunkStart) {
+      lineNumber = Number(hunkStart);
+      return;
+    }
+
+    if (lineNumber === null || diffLine.startsWith('\\')) {
+      return;
+    }
+
+    if (diffLine.startsWith('+')) {
+      addedLines.push(lineNumber);
+      lineNumber += 1;
+    } else if (!diffLine.startsWith('-')) {
+      lineNumber += 1;
+    }
+  });
+
+  return addedLines;
+};
+
+/**
+ * Get the line numbers added or changed in the PR for a file.
+ */
+export const getAddedLines = async (filePath) => {
+  if (danger.git?.structuredDiffForFile) {
+    const structuredDiff = await danger.git.structuredDiffForFile(filePath);
+
+    return new Set(structuredDiff ? getStructuredAddedLines(structuredDiff) : []);
+  }
+
+  if (danger.git?.diffForFile) {
+    const textDiff = await danger.git.diffForFile(filePath);
+
+    return new Set(getUnifiedAddedLines(textDiff?.diff));
+  }
+
+  return new Set();
+};
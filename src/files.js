@@ -0,0 +1,10 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Write a file, creating its directory if needed.
+ */
+export const writeFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, data);
+};
@@ -0,0 +1,11 @@
+import { Parser as XMLParser } from 'xml2js';
+
+/**
+ * Parse a clover report.
+ */
+export const parseClover = async (data) => {
+  const xmlParser = new XMLParser();
+  const { coverage: coverageXml } = await xmlParser.parseStringPromise(data);
+
+  return coverageXml;
+};
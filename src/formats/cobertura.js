@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { Parser as XMLParser } from 'xml2js';
+
+import { createCoverage, createFile } from '../model';
+
+/**
+ * Get the child elements for a given path of element names.
+ */
+const getElements = (parent, ...keys) => keys.reduce((elements, key) => (
+  [].concat(...elements.map((element) => element?.[key] || []))
+), [parent]);
+
+/**
+ * Parse the condition coverage of a line, e.g. `50% (1/2)`.
+ */
+const parseConditionCoverage = (conditionCoverage = '') => {
+  const [, covered, total] = conditionCoverage.match(/\((\d+)\/(\d+)\)/) || [];
+
+  return {
+    covered: Number(covered || 0),
+    total: Number(total || 0),
+  };
+};
+
+/**
+ * Resolve a filename against the report's source directories.
+ */
+const resolveFilename = (filename, sources) => {
+  if (path.isAbsolute(filename) || !sources.length) {
+    return filename;
+  }
+
+  const sourceDir = sources.find((source) => fs.existsSync(path.join(source, filename)))
+    || sources[0];
+
+  return path.join(sourceDir, filename);
+};
+
+/**
+ * Merge the lines of a class into those already seen for its source file.
+ */
+const mergeLines = (linesByNum, classLines) => {
+  classLines.forEach(({ $: attrs }) => {
+    const num = Number(attrs.number);
+    const count = Number(attrs.hits || 0);
+    const existing = linesByNum.get(num);
+    const line = {
+      num,
+      count: Math.max(count, existing?.count || 0),
+      type: existing?.type || 'stmt',
+    };
+
+    if (attrs.branch === 'true' || existing?.type === 'cond') {
+      const { covered, total } = parseConditionCoverage(attrs['condition-coverage']);
+      const existingCovered = existing?.truecount || 0;
+      const existingTotal = existingCovered + (existing?.falsecount || 0);
+      const truecount = Math.max(covered, existingCovered);
+
+      Object.assign(line, {
+        type: 'cond',
+        truecount,
+        falsecount: Math.max(total, existingTotal) - truecount,
+      });
+    }
+
+    linesByNum.set(num, line);
+  });
+};
+
+/**
+ * Convert the classes for a single source file to a file.
+ */
+const parseClasses = (filePath, classes) => {
+  const linesByNum = new Map();
+  const methodsByKey = new Map();
+
+  classes.forEach((cls) => {
+    mergeLines(linesByNum, getElements(cls, 'lines', 'line'));
+
+    getElements(cls, 'methods', 'method').forEach((method) => {
+      const key = `${cls.$?.name}.${method.$?.name}${method.$?.signature || ''}`;
+      const methodLines = getElements(method, 'lines', 'line').map(({ $: attrs }) => ({
+        num: Number(attrs.number),
+        hits: Number(attrs.hits || 0),
+      }));
+      // Methods without any lines only give their coverage as a rate
+      const count = Math.max(0, ...methodLines.map(({ hits }) => hits))
+        || Number(Number(method.$?.['line-rate']) > 0);
+      const existing = methodsByKey.get(key);
+
+      methodsByKey.set(key, {
+        num: methodLines.length ? Math.min(...methodLines.map(({ num }) => num)) : null,
+        count: Math.max(count, existing?.count || 0),
+        type: 'method',
+        name: method.$?.name,
+      });
+    });
+  });
+
+  const lines = [...linesByNum.values()].sort((a, b) => a.num - b.num);
+  const conditionalLines = lines.filter(({ type }) => type === 'cond');
+  const methods = [...methodsByKey.values()];
+
+  return createFile(filePath, {
+    statements: lines.length,
+    coveredstatements: lines.filter(({ count }) => count > 0).length,
+    conditionals: conditionalLines.reduce((acc, line) => acc + line.truecount + line.falsecount, 0),
+    coveredconditionals: conditionalLines.reduce((acc, line) => acc + line.truecount, 0),
+    methods: methods.length,
+    coveredmethods: methods.filter(({ count }) => count > 0).length,
+  }, [...lines, ...methods]);
+};
+
+/**
+ * Parse a Cobertura report.
+ */
+export const parseCobertura = async (data) => {
+  const xmlParser = new XMLParser();
+  const { coverage: coverageXml } = await xmlParser.parseStringPromise(data);
+
+  const sources = getElements(coverageXml, 'sources', 'source')
+    .map((source) => String(source?._ ?? source).trim())
+    .filter((source) => !!source);
+
+  const classesByFile = new Map();
+
+  getElements(coverageXml, 'packages', 'package', 'classes', 'class').forEach((cls) => {
+    const filePath = resolveFilename(cls.$.filename, sources);
+
+    classesByFile.set(filePath, [...(classesByFile.get(filePath) || []), cls]);
+  });
+
+  const files = [...classesByFile.entries()].map(([filePath, classes]) => (
+    parseClasses(filePath, classes)
+  ));
+
+  return createCoverage(files);
+};
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import glob from 'fast-glob';
+
+import { createCoverage, createFile } from '../model';
+
+/**
+ * Get the module path declared by each go.mod file in the repo.
+ */
+const getModules = () => glob
+  .sync('**/go.mod', {
+    cwd: process.cwd(),
+    deep: 4,
+    ignore: ['**/node_modules/**', '**/vendor/**'],
+  })
+  .map((goModPath) => {
+    const content = fs.readFileSync(path.join(process.cwd(), goModPath), 'utf8');
+    const [, modulePath] = content.match(/^\s*module\s+"?([^\s"]+)"?/m) || [];
+
+    return {
+      modulePath,
+      dir: path.posix.dirname(goModPath),
+    };
+  })
+  .filter(({ modulePath }) => !!modulePath)
+  .sort((a, b) => b.modulePath.length - a.modulePath.length);
+
+/**
+ * Resolve an import path to a path within the repo.
+ */
+const resolveImportPath = (importPath, modules) => {
+  // Packages outside of GOPATH and modules are reported as `_/absolute/path`
+  if (importPath.startsWith('_/')) {
+    return importPath.slice(1);
+  }
+
+  const goModule = modules.find(({ modulePath }) => importPath.startsWith(`${modulePath}/`));
+
+  if (!goModule) {
+    return importPath;
+  }
+
+  return path.posix.join(goModule.dir, importPath.slice(goModule.modulePath.length + 1));
+};
+
+/**
+ * Parse a block, e.g. `github.com/org/repo/x.go:10.2,12.16 2 1`.
+ */
+const parseBlock = (blockLine) => {
+  const match = blockLine.match(/^(.+):(\d+)\.(\d+),(\d+)\.(\d+) (\d+) (\d+)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, importPath, startLine, startCol, endLine, endCol, numStmts, count] = match;
+
+  return {
+    importPath,
+    key: `${startLine}.${startCol},${endLine}.${endCol}`,
+    startLine: Number(startLine),
+    endLine: Number(endLine),
+    numStmts: Number(numStmts),
+    count: Number(count),
+  };
+};
+
+/**
+ * Convert the blocks for a single source file to a file.
+ */
+const parseBlocks = (filePath, blocks) => {
+  const hitsByLine = new Map();
+
+  blocks.forEach(({ startLine, endLine, count }) => {
+    for (let num = startLine; num <= endLine; num += 1) {
+      hitsByLine.set(num, Math.max(hitsByLine.get(num) ?? 0, count));
+    }
+  });
+
+  const lines = [...hitsByLine.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([num, count]) => ({ num, count, type: 'stmt' }));
+
+  const statements = blocks.reduce((acc, { numStmts }) => acc + numStmts, 0);
+  const coveredStatements = blocks
+    .filter(({ count }) => count > 0)
+    .reduce((acc, { numStmts }) => acc + numStmts, 0);
+
+  return createFile(filePath, {
+    statements,
+    coveredstatements: coveredStatements,
+    conditionals: 0,
+    coveredconditionals: 0,
+    methods: 0,
+    coveredmethods: 0,
+  }, lines);
+};
+
+/**
+ * Parse a Go coverage profile (`go test -coverprofile`).
+ */
+export const parseGo = (data) => {
+  const modules = getModules();
+  const blocksByFile = new Map();
+
+  String(data)
+    .split(/\r?\n/)
+    .filter((blockLine) => blockLine.trim() && !blockLine.startsWith('mode:'))
+    .map((blockLine) => parseBlock(blockLine.trim()))
+    .filter((block) => !!block)
+    .forEach((block) => {
+      const filePath = resolveImportPath(block.importPath, modules);
+      const blocks = blocksByFile.get(filePath) || new Map();
+      const existing = blocks.get(block.key);
+
+      // The same block is repeated when packages are tested more than once
+      blocks.set(block.key, {
+        ...block,
+        count: (existing?.count || 0) + block.count,
+      });
+
+      blocksByFile.set(filePath, blocks);
+    });
+
+  const files = [...blocksByFile.entries()].map(([filePath, blocks]) => (
+    parseBlocks(filePath, [...blocks.values()])
+  ));
+
+  return createCoverage(files);
+};
@@ -0,0 +1,145 @@
+import { createCoverage, createFile } from '../model';
+
+/**
+ * Check if a report is an Istanbul summary, rather than a full coverage map.
+ */
+const isSummary = (report) => Object.values(report).some((value) => (
+  typeof value?.lines?.total === 'number'
+));
+
+/**
+ * Get the number of items with a non-zero count.
+ */
+const countCovered = (counts) => counts.filter((count) => Number(count) > 0).length;
+
+/**
+ * Get the line coverage of a file, as Istanbul does, from its statements.
+ */
+const getLineHits = ({ statementMap = {}, s = {} }) => {
+  const hitsByLine = new Map();
+
+  Object.entries(s).forEach(([key, count]) => {
+    const line = statementMap[key]?.start?.line;
+
+    if (line === undefined) {
+      return;
+    }
+
+    hitsByLine.set(line, Math.max(hitsByLine.get(line) ?? 0, Number(count)));
+  });
+
+  return hitsByLine;
+};
+
+/**
+ * Get the branch counts of a file, grouped by the line they start on.
+ */
+const getBranchesByLine = ({ branchMap = {}, b = {} }) => {
+  const branchesByLine = new Map();
+
+  Object.entries(b).forEach(([key, counts]) => {
+    const branch = branchMap[key];
+    const line = branch?.loc?.start?.line ?? branch?.line;
+
+    if (line === undefined) {
+      return;
+    }
+
+    branchesByLine.set(line, [...(branchesByLine.get(line) || []), ...counts]);
+  });
+
+  return branchesByLine;
+};
+
+/**
+ * Convert a file from an Istanbul coverage map to a file.
+ */
+const parseFileCoverage = (filePath, fileCoverage) => {
+  const {
+    fnMap = {},
+    f = {},
+    s = {},
+    b = {},
+  } = fileCoverage;
+
+  const hitsByLine = getLineHits(fileCoverage);
+  const branchesByLine = getBranchesByLine(fileCoverage);
+  const branchCounts = [].concat(...Object.values(b));
+
+  const lines = [...new Set([...hitsByLine.keys(), ...branchesByLine.keys()])]
+    .sort((a, c) => a - c)
+    .map((num) => {
+      const branches = branchesByLine.get(num);
+      const count = hitsByLine.get(num) ?? Math.max(...branches);
+
+      if (!branches) {
+        return { num, count, type: 'stmt' };
+      }
+
+      const truecount = countCovered(branches);
+
+      return {
+        num,
+        count,
+        type: 'cond',
+        truecount,
+        falsecount: branches.length - truecount,
+      };
+    });
+
+  const methods = Object.entries(fnMap).map(([key, fn]) => ({
+    num: fn.decl?.start?.line ?? fn.loc?.start?.line ?? fn.line,
+    count: Number(f[key] || 0),
+    type: 'method',
+    name: fn.name,
+  }));
+
+  return createFile(filePath, {
+    statements: Object.keys(s).length,
+    coveredstatements: countCovered(Object.values(s)),
+    conditionals: branchCounts.length,
+    coveredconditionals: countCovered(branchCounts),
+    methods: methods.length,
+    coveredmethods: countCovered(methods.map(({ count }) => count)),
+  }, [...lines, ...methods]);
+};
+
+/**
+ * Convert a file from an Istanbul summary to a file.
+ */
+const parseFileSummary = (filePath, {
+  statements,
+  branches,
+  functions,
+  lines,
+}) => createFile(filePath, {
+  statements: statements?.total ?? 0,
+  coveredstatements: statements?.covered ?? 0,
+  conditionals: branches?.total ?? 0,
+  coveredconditionals: branches?.covered ?? 0,
+  methods: functions?.total ?? 0,
+  coveredmethods: functions?.covered ?? 0,
+  lines: lines?.total ?? 0,
+  coveredlines: lines?.covered ?? 0,
+});
+
+/**
+ * Parse an Istanbul JSON report (`coverage-final.json` or `coverage-summary.json`).
+ */
+export const parseIstanbul = (data) => {
+  const report = JSON.parse(data);
+
+  if (isSummary(report)) {
+    const { total, ...fileSummaries } = report;
+
+    return createCoverage(Object.entries(fileSummaries).map(([filePath, summary]) => (
+      parseFileSummary(filePath, summary)
+    )));
+  }
+
+  return createCoverage(Object.entries(report).map(([key, value]) => {
+    const fileCoverage = value.data || value;
+
+    return parseFileCoverage(fileCoverage.path || key, fileCoverage);
+  }));
+};
@@ -0,0 +1,121 @@
+import path from 'path';
+import glob from 'fast-glob';
+import { Parser as XMLParser } from 'xml2js';
+
+import { createCoverage, createFile } from '../model';
+
+/**
+ * Get the missed and covered values of a counter.
+ */
+const getCounter = (element, type) => {
+  const counter = (element.counter || []).find(({ $: attrs }) => attrs.type === type);
+
+  return {
+    missed: Number(counter?.$.missed || 0),
+    covered: Number(counter?.$.covered || 0),
+  };
+};
+
+/**
+ * Resolve a package path and source file name to a path within the repo.
+ */
+const resolveSourcePath = (packageName, sourceFileName, sourceRoots) => {
+  const relativePath = path.posix.join(packageName, sourceFileName);
+
+  const [resolvedPath] = [].concat(...sourceRoots.map((sourceRoot) => (
+    glob.sync(path.posix.join(sourceRoot, relativePath), { cwd: process.cwd() })
+  )));
+
+  if (resolvedPath) {
+    return resolvedPath;
+  }
+
+  return sourceRoots.length ? path.posix.join(sourceRoots[0], relativePath) : relativePath;
+};
+
+/**
+ * Get the methods for each source file in a package.
+ */
+const getMethodsBySourceFile = (pkg) => {
+  const methodsBySourceFile = new Map();
+
+  (pkg.class || []).forEach((cls) => {
+    const { sourcefilename } = cls.$;
+    const methods = (cls.method || []).map((method) => ({
+      num: Number(method.$.line || 0),
+      count: getCounter(method, 'METHOD').covered,
+      type: 'method',
+      name: method.$.name,
+    }));
+
+    methodsBySourceFile.set(sourcefilename, [
+      ...(methodsBySourceFile.get(sourcefilename) || []),
+      ...methods,
+    ]);
+  });
+
+  return methodsBySourceFile;
+};
+
+/**
+ * Convert a source file element to a file.
+ */
+const parseSourceFile = (sourceFile, filePath, methods) => {
+  const lines = (sourceFile.line || []).map(({ $: attrs }) => {
+    const num = Number(attrs.nr);
+    const count = Number(attrs.ci || 0);
+    const missedBranches = Number(attrs.mb || 0);
+    const coveredBranches = Number(attrs.cb || 0);
+
+    if (!missedBranches && !coveredBranches) {
+      return { num, count, type: 'stmt' };
+    }
+
+    return {
+      num,
+      count,
+      type: 'cond',
+      truecount: coveredBranches,
+      falsecount: missedBranches,
+    };
+  });
+
+  const instructions = getCounter(sourceFile, 'INSTRUCTION');
+  const branches = getCounter(sourceFile, 'BRANCH');
+  const methodCounter = getCounter(sourceFile, 'METHOD');
+
+  return createFile(filePath, {
+    statements: instructions.missed + instructions.covered,
+    coveredstatements: instructions.covered,
+    conditionals: branches.missed + branches.covered,
+    coveredconditionals: branches.covered,
+    methods: methodCounter.missed + methodCounter.covered,
+    coveredmethods: methodCounter.covered,
+  }, [...lines, ...methods]);
+};
+
+/**
+ * Parse a JaCoCo report.
+ */
+export const parseJacoco = async (data, { sourceRoots = [] } = {}) => {
+  const xmlParser = new XMLParser();
+  const { report } = await xmlParser.parseStringPromise(data);
+
+  const getPackages = (element) => [
+    ...(element.package || []),
+    ...[].concat(...(element.group || []).map(getPackages)),
+  ];
+
+  const files = [].concat(...getPackages(report).map((pkg) => {
+    const methodsBySourceFile = getMethodsBySourceFile(pkg);
+
+    return (pkg.sourcefile || []).map((sourceFile) => {
+      const { name } = sourceFile.$;
+      const filePath = resolveSourcePath(pkg.$.name, name, sourceRoots);
+
+      return parseSourceFile(sourceFile, filePath, methodsBySourceFile.get(name) || []);
+    });
+  }));
+
+  return createCoverage(files);
+};
@@ -0,0 +1,132 @@
+import { createCoverage, createFile } from '../model';
+
+/**
+ * Split an LCOV record line into its type and values.
+ */
+const parseRecordLine = (recordLine) => {
+  const separatorIndex = recordLine.indexOf(':');
+
+  if (separatorIndex === -1) {
+    return { type: recordLine.trim(), values: [] };
+  }
+
+  return {
+    type: recordLine.slice(0, separatorIndex).trim(),
+    values: recordLine.slice(separatorIndex + 1).split(','),
+  };
+};
+
+/**
+ * Get the lines for a record, marking those with branches as conditionals.
+ */
+const getLines = (hitsByLine, branchesByLine) => [...hitsByLine.entries()]
+  .sort(([a], [b]) => a - b)
+  .map(([num, count]) => {
+    const branches = branchesByLine.get(num);
+
+    if (!branches) {
+      return { num, count, type: 'stmt' };
+    }
+
+    const truecount = branches.filter((taken) => taken > 0).length;
+
+    return {
+      num,
+      count,
+      type: 'cond',
+      truecount,
+      falsecount: branches.length - truecount,
+    };
+  });
+
+/**
+ * Convert a single LCOV record (`SF:` to `end_of_record`) to a file.
+ */
+const parseRecord = (recordLines) => {
+  const hitsByLine = new Map();
+  const branchesByLine = new Map();
+  const functionHits = new Map();
+  const functionLines = new Map();
+  const totals = {};
+  let filePath;
+
+  recordLines.forEach((recordLine) => {
+    const { type, values } = parseRecordLine(recordLine);
+
+    switch (type) {
+      case 'SF':
+        filePath = values.join(',').trim();
+        break;
+      case 'DA': {
+        const num = Number(values[0]);
+        hitsByLine.set(num, (hitsByLine.get(num) || 0) + Number(values[1]));
+        break;
+      }
+      case 'BRDA': {
+        const num = Number(values[0]);
+        const taken = values[3] === '-' ? 0 : Number(values[3]);
+        branchesByLine.set(num, [...(branchesByLine.get(num) || []), taken]);
+        break;
+      }
+      case 'FN': {
+        const name = values.slice(1).join(',');
+        functionHits.set(name, functionHits.get(name) || 0);
+        functionLines.set(name, Number(values[0]));
+        break;
+      }
+      case 'FNDA': {
+        const name = values.slice(1).join(',');
+        functionHits.set(name, (functionHits.get(name) || 0) + Number(values[0]));
+        break;
+      }
+      case 'LF':
+      case 'LH':
+      case 'BRF':
+      case 'BRH':
+      case 'FNF':
+      case 'FNH':
+        totals[type] = Number(values[0]);
+        break;
+      default:
+    }
+  });
+
+  if (!filePath) {
+    return null;
+  }
+
+  const lines = getLines(hitsByLine, branchesByLine);
+  const branches = [].concat(...branchesByLine.values());
+  const functions = [...functionHits.values()];
+  const methods = [...functionLines.entries()].map(([name, num]) => ({
+    num,
+    count: functionHits.get(name),
+    type: 'method',
+    name,
+  }));
+
+  return createFile(filePath, {
+    statements: totals.LF ?? lines.length,
+    coveredstatements: totals.LH ?? lines.filter(({ count }) => count > 0).length,
+    conditionals: totals.BRF ?? branches.length,
+    coveredconditionals: totals.BRH ?? branches.filter((taken) => taken > 0).length,
+    methods: totals.FNF ?? functions.length,
+    coveredmethods: totals.FNH ?? functions.filter((count) => count > 0).length,
+  }, [...lines, ...methods]);
+};
+
+/**
+ * Parse an LCOV report.
+ */
+export const parseLcov = (data) => {
+  const records = String(data)
+    .split(/^end_of_record\s*$/m)
+    .map((record) => record.split(/\r?\n/).filter((recordLine) => recordLine.trim()))
+    .filter((recordLines) => recordLines.length);
+
+  const files = records
+    .map(parseRecord)
+    .filter((file) => !!file);
+
+  return createCoverage(files);
+};
@@ -1,3 +1,5 @@
 import { coverage } from './plugin';
 
+export { columns, defaultRenderer } from './renderer';
+
 export default coverage;
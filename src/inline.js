@@ -0,0 +1,51 @@
+import path from 'path';
+
+import { getLineGroups, getPatchMetrics } from './metrics';
+import { getFileKey } from './model';
+
+/**
+ * Get the message for a group of uncovered lines.
+ */
+const getInlineMessage = (lineGroup) => {
+  if (lineGroup.length === 1) {
+    return `Line ${lineGroup[0]} is not covered by tests.`;
+  }
+
+  return `Lines ${lineGroup[0]}-${lineGroup[lineGroup.length - 1]} are not covered by tests.`;
+};
+
+/**
+ * Comment on each group of uncovered lines that were added or changed in the PR.
+ */
+export const postInlineComments = (files, addedLinesByFile, {
+  inlineComments,
+  maxInlineComments,
+}) => {
+  const actions = {
+    fail,
+    warn,
+    message,
+    markdown,
+  };
+  // `true` turns comments on with the default action
+  const action = actions[inlineComments === true ? 'warn' : inlineComments];
+
+  if (!action) {
+    return;
+  }
+
+  const comments = [].concat(...files.map((file) => {
+    const { uncoveredPatchLines } = getPatchMetrics(file, addedLinesByFile.get(getFileKey(file)));
+    const filePath = path.relative(process.cwd(), file.$.path);
+
+    return getLineGroups(uncoveredPatchLines, file.line || []).map((lineGroup) => ({
+      filePath,
+      lineNumber: lineGroup[0],
+      msg: getInlineMessage(lineGroup),
+    }));
+  }));
+
+  comments
+    .slice(0, maxInlineComments)
+    .forEach(({ msg, filePath, lineNumber }) => action(msg, filePath, lineNumber));
+};
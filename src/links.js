@@ -0,0 +1,117 @@
+/**
+ * Get the anchor for a line, or range of lines, in the GitHub style.
+ */
+const getGitHubAnchor = (start, end) => (start === end ? `#L${start}` : `#L${start}-L${end}`);
+
+/**
+ * Link builders for each platform, in order of precedence.
+ */
+const platforms = [
+  {
+    detect: () => !!danger.gitlab?.mr,
+    getSha: () => danger.gitlab.mr.sha,
+    getFileUrl: (sha, filePath) => {
+      const projectUrl = danger.gitlab.mr.web_url.replace(/\/-\/merge_requests\/\d+\/?$/, '');
+
+      return `${projectUrl}/-/blob/${sha}/${filePath}`;
+    },
+    getAnchor: (start, end) => (start === end ? `#L${start}` : `#L${start}-${end}`),
+  },
+  {
+    detect: () => !!danger.bitbucket_server?.pr,
+    getSha: () => danger.bitbucket_server.pr.fromRef.latestCommit,
+    getFileUrl: (sha, filePath) => {
+      const [{ href }] = danger.bitbucket_server.pr.fromRef.repository.links.self;
+
+      return `${href.replace(/\/browse\/?$/, '')}/browse/${filePath}?at=${sha}`;
+    },
+    getAnchor: (start, end) => (start === end ? `#${start}` : `#${start}-${end}`),
+  },
+  {
+    detect: () => !!danger.bitbucket_cloud?.pr,
+    getSha: () => danger.bitbucket_cloud.pr.source.commit.hash,
+    getFileUrl: (sha, filePath) => {
+      const { full_name: fullName } = danger.bitbucket_cloud.pr.source.repository;
+
+      return `https://bitbucket.org/${fullName}/src/${sha}/${filePath}`;
+    },
+    getAnchor: (start, end) => (start === end ? `#lines-${start}` : `#lines-${start}:${end}`),
+  },
+  {
+    detect: () => !!danger.github?.pr,
+    getSha: () => danger.github.pr.head.sha,
+    getFileUrl: (sha, filePath) => `${danger.github.pr.head.repo.html_url}/blob/${sha}/${filePath}`,
+    getAnchor: getGitHubAnchor,
+  },
+  {
+    // Danger has no DSL for Azure Repos, so the pipeline variables are used instead
+    detect: () => process.env.BUILD_REPOSITORY_PROVIDER === 'TfsGit'
+      && !!process.env.BUILD_REPOSITORY_URI,
+    getSha: () => process.env.SYSTEM_PULLREQUEST_SOURCECOMMITID || process.env.BUILD_SOURCEVERSION,
+    getFileUrl: (sha, filePath) => (
+      `${process.env.BUILD_REPOSITORY_URI}?path=/${filePath}&version=GC${sha}`
+    ),
+    getAnchor: (start, end) => (
+      `&line=${start}&lineEnd=${end + 1}&lineStartColumn=1&lineEndColumn=1&lineStyle=plain`
+    ),
+  },
+];
+
+/**
+ * Links relative to the PR, which only resolve on GitHub.
+ */
+const defaultPlatform = {
+  getSha: () => danger.git?.commits?.[danger.git.commits.length - 1]?.sha,
+  getFileUrl: (sha, filePath) => `../blob/${sha}/${filePath}`,
+  getAnchor: getGitHubAnchor,
+};
+
+/**
+ * Get the sha of the latest commit in the PR.
+ */
+const getSha = (platform) => platform.getSha() || defaultPlatform.getSha();
+
+/**
+ * Build a link from a custom template.
+ *
+ * The anchor (anything after a `#`) is dropped when linking to the whole file.
+ */
+const getTemplateLink = (linkTemplate, sha, filePath, start, end) => {
+  if (typeof linkTemplate === 'function') {
+    return linkTemplate({
+      sha,
+      path: filePath,
+      start,
+      end,
+    });
+  }
+
+  const template = start === undefined ? linkTemplate.replace(/#.*$/, '') : linkTemplate;
+
+  return template
+    .replace(/\{sha\}/g, sha)
+    .replace(/\{path\}/g, filePath)
+    .replace(/\{start\}/g, start)
+    .replace(/\{end\}/g, end);
+};
+
+/**
+ * Get the link to a file, or to a range of lines within it, for the platform
+ * Danger is running on.
+ */
+export const getLink = (filePath, { start, end = start } = {}, { linkTemplate } = {}) => {
+  const platform = platforms.find(({ detect }) => detect()) || defaultPlatform;
+  const sha = getSha(platform);
+
+  if (!sha) {
+    return null;
+  }
+
+  if (linkTemplate) {
+    return getTemplateLink(linkTemplate, sha, filePath, start, end);
+  }
+
+  const fileUrl = platform.getFileUrl(sha, filePath);
+
+  return start === undefined ? fileUrl : fileUrl + platform.getAnchor(start, end);
+};
@@ -0,0 +1,191 @@
+import { getFlatFiles } from './model';
+
+/**
+ * The keys of the metrics that are summed when combining files.
+ */
+const metricKeys = [
+  'statements',
+  'coveredstatements',
+  'conditionals',
+  'coveredconditionals',
+  'methods',
+  'coveredmethods',
+  'lines',
+  'coveredlines',
+];
+
+/**
+ * Get the percentage covered for a given metric.
+ */
+export const getCoveredPercentage = (covered, total) => {
+  const percentage = ((covered / total) * 100);
+
+  if (!Number(total)) {
+    return 100;
+  }
+
+  if (Number.isNaN(percentage)) {
+    return '-';
+  }
+
+  return Number(percentage.toFixed(2));
+};
+
+/**
+ * Get the percentages for all metrics.
+ */
+export const getMetricPercentages = ({
+  statements,
+  coveredstatements,
+  conditionals,
+  coveredconditionals,
+  methods,
+  coveredmethods,
+  lines,
+  coveredlines,
+}) => ({
+  statements: getCoveredPercentage(coveredstatements, statements),
+  branches: getCoveredPercentage(coveredconditionals, conditionals),
+  functions: getCoveredPercentage(coveredmethods, methods),
+  lines: getCoveredPercentage(coveredlines, lines),
+});
+
+/**
+ * Get the change between a percentage and its base percentage.
+ */
+export const getDelta = (percentage, basePercentage) => {
+  if (percentage === '-' || basePercentage === '-' || basePercentage === undefined) {
+    return null;
+  }
+
+  return Number((Number(percentage) - Number(basePercentage)).toFixed(2));
+};
+
+/**
+ * Get the metrics for a file.
+ */
+export const getFileMetrics = (file) => {
+  const { line: allLines = [], metrics } = file;
+  const fileMetrics = (metrics?.[0].$ || {});
+
+  // Method entries mark where a function is declared, rather than a line of code
+  const lines = allLines.filter((line) => line.$?.type !== 'method');
+  const uncoveredLines = lines.filter((line) => !Number(line.$?.count || 0));
+  // Conditional lines can be hit without every branch being taken
+  const uncoveredBranches = lines.filter((line) => (
+    line.$?.type === 'cond' && Number(line.$.falsecount || 0) > 0
+  ));
+  const uncoveredFunctions = allLines.filter((line) => (
+    line.$?.type === 'method' && !Number(line.$.count || 0)
+  ));
+
+  // Summary reports give line totals without the individual lines
+  if (!lines.length && fileMetrics.lines !== undefined) {
+    return {
+      ...fileMetrics,
+      uncoveredLines,
+      uncoveredBranches,
+      uncoveredFunctions,
+    };
+  }
+
+  return {
+    ...fileMetrics,
+    lines: lines.length,
+    coveredlines: lines.length - uncoveredLines.length,
+    uncoveredLines,
+    uncoveredBranches,
+    uncoveredFunctions,
+  };
+};
+
+/**
+ * Get the combined metrics for the checked files.
+ */
+export const getCombinedMetrics = (files) => files.reduce((acc, file) => {
+  const fileMetrics = getFileMetrics(file);
+
+  metricKeys.forEach((key) => {
+    acc[key] = (acc[key] || 0) + Number(fileMetrics[key] || 0);
+  });
+
+  return acc;
+}, {});
+
+/**
+ * Get the metrics for the whole project.
+ *
+ * Statements, branches and functions are taken from the `<project><metrics>`
+ * element, where the report has one, while lines are always counted from the
+ * files as clover reports don't include them at the project level.
+ */
+export const getProjectMetrics = (coverage) => {
+  const projects = coverage.project || [];
+  const projectMetrics = projects.map((project) => project.metrics?.[0].$).filter((x) => !!x);
+  const fileMetrics = getCombinedMetrics(getFlatFiles(coverage));
+
+  if (!projectMetrics.length) {
+    return fileMetrics;
+  }
+
+  return metricKeys.filter((key) => !key.endsWith('lines')).reduce((acc, key) => ({
+    ...acc,
+    [key]: projectMetrics.reduce((total, metrics) => total + Number(metrics[key] || 0), 0),
+  }), fileMetrics);
+};
+
+/**
+ * Get the coverage of the lines added or changed in the PR for a file.
+ */
+export const getPatchMetrics = (file, addedLines = new Set()) => {
+  const { line: allLines = [] } = file;
+  const patchLines = allLines.filter((line) => (
+    line.$?.type !== 'method' && addedLines.has(Number(line.$?.num))
+  ));
+
+  const uncoveredPatchLines = patchLines.filter((line) => !Number(line.$?.count || 0));
+
+  return {
+    patchlines: patchLines.length,
+    coveredpatchlines: patchLines.length - uncoveredPatchLines.length,
+    uncoveredPatchLines,
+  };
+};
+
+/**
+ * Get the combined percentage of the lines added or changed in the PR that are covered.
+ */
+export const getPatchPercentage = (patchMetrics) => (
+  patchMetrics?.patchlines
+    ? getCoveredPercentage(patchMetrics.coveredpatchlines, patchMetrics.patchlines)
+    : '-'
+);
+
+/**
+ * Group lines into runs of consecutive lines, as ordered within all of the lines
+ * for a file, so that lines with nothing to cover between them are grouped.
+ */
+export const getLineGroups = (lines, allLines) => {
+  const lineNumbers = new Set(lines.map((line) => Number(line.$.num)));
+  const allLineNumbers = [...new Set(allLines
+    .filter((line) => line.$?.type !== 'method')
+    .map((line) => Number(line.$.num)))]
+    .sort((a, b) => a - b);
+
+  return allLineNumbers.reduce((groups, lineNumber, index) => {
+    if (!lineNumbers.has(lineNumber)) {
+      return groups;
+    }
+
+    const previousLineNumber = allLineNumbers[index - 1];
+    const currentGroup = groups[groups.length - 1];
+
+    if (currentGroup && currentGroup[currentGroup.length - 1] === previousLineNumber) {
+      currentGroup.push(lineNumber);
+    } else {
+      groups.push([lineNumber]);
+    }
+
+    return groups;
+  }, []);
+};
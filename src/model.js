@@ -0,0 +1,145 @@
+import path from 'path';
+
+/**
+ * Sum a list of numbers.
+ */
+const sum = (values) => values.reduce((acc, value) => acc + Number(value || 0), 0);
+
+/**
+ * Create a file in the same shape as a file parsed from a clover report.
+ */
+export const createFile = (filePath, metrics, lines = []) => ({
+  $: {
+    name: path.basename(filePath),
+    path: filePath,
+  },
+  metrics: [{ $: metrics }],
+  line: lines.map((line) => ({ $: line })),
+});
+
+/**
+ * Create a coverage report in the same shape as a parsed clover report.
+ */
+export const createCoverage = (files) => {
+  const fileMetrics = files.map((file) => file.metrics?.[0].$ || {});
+  const getTotal = (key) => sum(fileMetrics.map((metrics) => metrics[key]));
+
+  return {
+    project: [
+      {
+        $: { name: 'All files' },
+        metrics: [
+          {
+            $: {
+              statements: getTotal('statements'),
+              coveredstatements: getTotal('coveredstatements'),
+              conditionals: getTotal('conditionals'),
+              coveredconditionals: getTotal('coveredconditionals'),
+              methods: getTotal('methods'),
+              coveredmethods: getTotal('coveredmethods'),
+              files: files.length,
+            },
+          },
+        ],
+        file: files,
+      },
+    ],
+  };
+};
+
+/**
+ * Get the key used to match a file across reports.
+ */
+export const getFileKey = (file) => path.resolve(file.$.path);
+
+/**
+ * Get flatened file details.
+ */
+export const getFlatFiles = (coverage) => {
+  const parentKey = ['project', 'package'].find((key) => key in coverage);
+
+  if (parentKey) {
+    return [].concat(...coverage[parentKey].map((item) => getFlatFiles(item)));
+  }
+
+  return coverage.file || [];
+};
+
+/**
+ * Merge the lines of two files, summing the hit counts of any shared lines.
+ */
+const mergeLines = (linesA, linesB) => {
+  const linesByKey = new Map();
+
+  [...linesA, ...linesB].forEach(({ $: line }) => {
+    const key = line.type === 'method' ? `${line.num}:${line.name}` : String(line.num);
+    const existing = linesByKey.get(key);
+
+    if (!existing) {
+      linesByKey.set(key, { ...line });
+      return;
+    }
+
+    const merged = {
+      ...existing,
+      count: Number(existing.count || 0) + Number(line.count || 0),
+    };
+
+    if (existing.type === 'cond' || line.type === 'cond') {
+      const getBranchTotal = (x) => Number(x.truecount || 0) + Number(x.falsecount || 0);
+      const truecount = Math.max(Number(existing.truecount || 0), Number(line.truecount || 0));
+
+      Object.assign(merged, {
+        type: 'cond',
+        truecount,
+        falsecount: Math.max(getBranchTotal(existing), getBranchTotal(line)) - truecount,
+      });
+    }
+
+    linesByKey.set(key, merged);
+  });
+
+  return [...linesByKey.values()].sort((a, b) => Number(a.num) - Number(b.num));
+};
+
+/**
+ * Merge the metrics of two files.
+ *
+ * Reports only give totals for statements, branches and functions, so we can't
+ * know which of them were covered by both. Taking the greater of each is the
+ * closest we can get without over-reporting.
+ */
+const mergeMetrics = (metricsA, metricsB) => Object.keys({ ...metricsA, ...metricsB })
+  .reduce((acc, key) => ({
+    ...acc,
+    [key]: Math.max(Number(metricsA[key] || 0), Number(metricsB[key] || 0)),
+  }), {});
+
+/**
+ * Merge multiple coverage reports into one.
+ */
+export const mergeCoverage = (reports) => {
+  if (reports.length === 1) {
+    return reports[0];
+  }
+
+  const filesByPath = new Map();
+
+  [].concat(...reports.map(getFlatFiles)).forEach((file) => {
+    const key = getFileKey(file);
+    const existing = filesByPath.get(key);
+
+    if (!existing) {
+      filesByPath.set(key, file);
+      return;
+    }
+
+    filesByPath.set(key, createFile(
+      file.$.path,
+      mergeMetrics(existing.metrics?.[0].$ || {}, file.metrics?.[0].$ || {}),
+      mergeLines(existing.line || [], file.line || []),
+    ));
+  });
+
+  return createCoverage([...filesByPath.values()]);
+};
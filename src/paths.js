@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+
+import { getFlatFiles } from './model';
+
+/**
+ * Get the files created or modified in the PR.
+ */
+const getChangedFiles = () => [
+  ...(danger.git?.created_files || []),
+  ...(danger.git?.modified_files || []),
+];
+
+/**
+ * Convert a path to use forward slashes.
+ */
+const toPosixPath = (filePath) => filePath.split(path.sep).join('/');
+
+/**
+ * Check if a path refers to a file in the repo.
+ */
+export const isRepoFile = (filePath) => (
+  getChangedFiles().includes(toPosixPath(path.relative(process.cwd(), filePath)))
+  || fs.existsSync(path.resolve(filePath))
+);
+
+/**
+ * Rewrite the start of a path using the first matching mapping.
+ */
+const applyPathMappings = (filePath, pathMappings = []) => {
+  const posixPath = toPosixPath(filePath);
+  const mapping = pathMappings.find(({ from }) => (
+    posixPath === from || posixPath.startsWith(`${from.replace(/\/$/, '')}/`)
+  ));
+
+  if (!mapping) {
+    return filePath;
+  }
+
+  return path.resolve(mapping.to, posixPath.slice(mapping.from.replace(/\/$/, '').length + 1));
+};
+
+/**
+ * Find a file in the repo that a path from another directory refers to.
+ *
+ * The changed files are tried first, as those are the files we report on,
+ * followed by any file on disk that a path outside of the repo ends with.
+ */
+const findRepoPath = (filePath) => {
+  const posixPath = toPosixPath(filePath);
+  const [changedFile] = getChangedFiles()
+    .filter((changed) => posixPath.endsWith(`/${changed}`))
+    .sort((a, b) => b.length - a.length);
+
+  if (changedFile) {
+    return path.resolve(changedFile);
+  }
+
+  // Paths within the repo are left alone, even if the file no longer exists
+  if (!path.isAbsolute(filePath) || !path.relative(process.cwd(), filePath).startsWith('..')) {
+    return filePath;
+  }
+
+  const parts = posixPath.split('/').filter((part) => !!part);
+  const suffix = parts
+    .map((_, index) => parts.slice(index + 1).join('/'))
+    .find((candidate) => candidate && fs.existsSync(path.resolve(candidate)));
+
+  return suffix ? path.resolve(suffix) : filePath;
+};
+
+/**
+ * Map the paths of the files in a report to the files in the repo.
+ */
+export const mapReportPaths = (coverage, { pathMappings } = {}) => {
+  getFlatFiles(coverage).forEach((file) => {
+    const mappedPath = applyPathMappings(file.$.path, pathMappings);
+    const repoPath = isRepoFile(mappedPath) ? mappedPath : findRepoPath(mappedPath);
+
+    Object.assign(file.$, {
+      name: path.basename(repoPath),
+      path: repoPath,
+    });
+  });
+
+  return coverage;
+};
@@ -1,74 +1,28 @@
+import fs from 'fs';
 import path from 'path';
-
+import micromatch from 'micromatch';
+
+import { writeBadge } from './badge';
+import { getOptions } from './config';
+import { getAddedLines } from './diff';
+import { postInlineComments } from './inline';
+import { getLink } from './links';
+import {
+  getCombinedMetrics,
+  getCoveredPercentage,
+  getDelta,
+  getFileMetrics,
+  getLineGroups,
+  getMetricPercentages,
+  getPatchMetrics,
+  getPatchPercentage,
+  getProjectMetrics,
+} from './metrics';
+import { createFile, getFileKey, getFlatFiles } from './model';
+import { isRepoFile } from './paths';
+import { renderReport } from './renderer';
 import { getCoverageReport } from './report';
-
-const newLine = '\n';
-
-/**
- * Get flatened file details.
- */
-const getFlatFiles = (coverage) => {
-  const parentKey = ['project', 'package'].find((key) => key in coverage);
-
-  if (parentKey) {
-    return [].concat(...coverage[parentKey].map((item) => getFlatFiles(item)));
-  }
-
-  return coverage.file || [];
-};
-
-/**
- * Get the percentage covered for a given metric.
- */
-const getCoveredPercentage = (covered, total) => {
-  const percentage = ((covered / total) * 100);
-
-  if (!Number(total)) {
-    return 100;
-  }
-
-  if (Number.isNaN(percentage)) {
-    return '-';
-  }
-
-  return Number(percentage.toFixed(2));
-};
-
-/**
- * Get the percentages for all metrics.
- */
-const getMetricPercentages = ({
-  statements,
-  coveredstatements,
-  conditionals,
-  coveredconditionals,
-  methods,
-  coveredmethods,
-  lines,
-  coveredlines,
-}) => ({
-  statements: getCoveredPercentage(coveredstatements, statements),
-  branches: getCoveredPercentage(coveredconditionals, conditionals),
-  functions: getCoveredPercentage(coveredmethods, methods),
-  lines: getCoveredPercentage(coveredlines, lines),
-});
-
-/**
- * Get the metrics for a file.
- */
-const getFileMetrics = (file) => {
-  const { line: lines = [], metrics } = file;
-  const fileMetrics = (metrics?.[0].$ || {});
-
-  const uncoveredLines = lines.filter((line) => !Number(line.$?.count || 0));
-
-  return {
-    ...fileMetrics,
-    lines: lines.length,
-    coveredlines: lines.length - uncoveredLines.length,
-    uncoveredLines,
-  };
-};
+import { getMetricResults, getThresholdResults, writeResult } from './result';
 
 /**
  * Shorten a path so that it fits in a GitHub comment.
@@ -139,182 +93,385 @@ const hasPassed = (threshold, {
 );
 
 /**
- * Build a row for the coverage table.
+ * Get the index of the threshold override that applies to a file, if any.
+ */
+const getThresholdOverrideIndex = (file, thresholdOverrides = []) => {
+  const filePath = path.relative(process.cwd(), file.$.path);
+
+  return thresholdOverrides.findIndex(({ files }) => micromatch.isMatch(filePath, files));
+};
+
+/**
+ * Get the thresholds that apply to a file.
+ */
+const getFileThreshold = (file, { threshold, thresholdOverrides }) => {
+  const overrideIndex = getThresholdOverrideIndex(file, thresholdOverrides);
+
+  if (overrideIndex === -1) {
+    return threshold;
+  }
+
+  return {
+    ...threshold,
+    ...thresholdOverrides[overrideIndex].threshold,
+  };
+};
+
+/**
+ * Get a label for the files that a threshold override applies to.
+ */
+const getOverrideLabel = ({ files }) => [].concat(files).join(', ');
+
+/**
+ * Get the coverage of the lines added or changed in a file.
+ */
+const getFilePatchPercentage = (file, addedLinesByFile) => {
+  const { patchlines, coveredpatchlines } = getPatchMetrics(
+    file,
+    addedLinesByFile?.get(getFileKey(file)),
+  );
+
+  return patchlines ? getCoveredPercentage(coveredpatchlines, patchlines) : '-';
+};
+
+/**
+ * Get the data for a row of the coverage table.
  */
-const buildRow = (file, {
+const getRowData = (file, {
   threshold,
+  thresholdOverrides,
   maxChars,
   maxUncovered,
   wrapFilenames,
+  baseFiles,
+  patchCoverage,
+  addedLinesByFile,
+  linkTemplate,
 }) => {
   const fileMetrics = getFileMetrics(file);
 
-  const { sha } = danger.git?.commits?.[danger.git.commits.length - 1] || {};
-
   const longPath = path.relative(process.cwd(), file.$.path);
   const shortPath = getShortPath(longPath, maxChars);
-  const readablePath = wrapFilenames ? getWrappedPath(shortPath) : shortPath;
-
-  const fileLink = `../blob/${sha}/${longPath}`;
-  const fileCell = sha ? `[${readablePath}](${fileLink})` : readablePath;
+  const getLineLink = (start, end) => getLink(longPath, { start, end }, { linkTemplate });
 
   const percentages = getMetricPercentages(fileMetrics);
+  const baseFile = baseFiles?.get(getFileKey(file));
+  const uncoveredLineGroups = getLineGroups(fileMetrics.uncoveredLines, file.line || []);
 
-  const noLines = !fileMetrics.lines;
-  let emoji = hasPassed(threshold, percentages) ? ':white_check_mark:' : ':x:';
-
-  if (noLines) {
-    emoji = '-';
-  }
-
-  let uncoveredCell = fileMetrics
-    .uncoveredLines
-    .slice(0, maxUncovered)
-    .map((line) => {
-      const lineNumber = line.$.num;
-      const anchor = `#L${lineNumber}`;
-
-      return sha ? `[${lineNumber}](${fileLink + anchor})` : lineNumber;
-    })
-    .join(', ');
-
-  if (fileMetrics.uncoveredLines.length > maxUncovered) {
-    uncoveredCell += '...';
-  }
-
-  return [
-    '',
-    fileCell,
-    noLines ? '-' : percentages.statements,
-    noLines ? '-' : percentages.branches,
-    noLines ? '-' : percentages.functions,
-    noLines ? '-' : percentages.lines,
-    uncoveredCell,
-    emoji,
-    '',
-  ].join('|');
+  return {
+    file,
+    path: longPath,
+    displayPath: wrapFilenames ? getWrappedPath(shortPath) : shortPath,
+    link: getLink(longPath, {}, { linkTemplate }),
+    metrics: fileMetrics,
+    percentages,
+    basePercentages: baseFile ? getMetricPercentages(getFileMetrics(baseFile)) : {},
+    patchPercentage: patchCoverage ? getFilePatchPercentage(file, addedLinesByFile) : null,
+    passed: hasPassed(getFileThreshold(file, { threshold, thresholdOverrides }), percentages),
+    empty: !fileMetrics.lines,
+    missing: !!file.$.missing,
+    overrideIndex: getThresholdOverrideIndex(file, thresholdOverrides),
+    uncoveredLines: uncoveredLineGroups.slice(0, maxUncovered).map((lineGroup) => {
+      const start = lineGroup[0];
+      const end = lineGroup[lineGroup.length - 1];
+
+      return { start, end, link: getLineLink(start, end) };
+    }),
+    moreUncoveredLines: uncoveredLineGroups.length > maxUncovered,
+    uncoveredBranches: fileMetrics.uncoveredBranches.slice(0, maxUncovered).map(({ $: line }) => {
+      const covered = Number(line.truecount || 0);
+
+      return {
+        line: Number(line.num),
+        covered,
+        total: covered + Number(line.falsecount || 0),
+        link: getLineLink(Number(line.num)),
+      };
+    }),
+    moreUncoveredBranches: fileMetrics.uncoveredBranches.length > maxUncovered,
+  };
 };
 
 /**
- * Join items in a table row.
+ * Get the data for the row showing the totals for all files in the coverage table.
  */
-const joinRow = (items) => `|${items.map((item) => item).join('|')}|`;
+const getTotalData = ({
+  combinedMetrics,
+  baseMetrics,
+  patchMetrics,
+  thresholdGroups,
+}) => ({
+  percentages: getMetricPercentages(combinedMetrics),
+  basePercentages: baseMetrics ? getMetricPercentages(baseMetrics) : {},
+  patchPercentage: getPatchPercentage(patchMetrics),
+  passed: thresholdGroups.every((group) => hasPassed(group.threshold, group.percentages)),
+});
 
 /**
- * Build the coverage table.
+ * Get a percentage for sorting, with files that have nothing to cover sorted last.
  */
-const buildTable = (files, opts) => {
-  const {
-    maxRows,
-    showAllFiles,
-  } = opts;
+const getSortablePercentage = (file, key) => {
+  const percentage = getMetricPercentages(getFileMetrics(file))[key];
 
-  const headings = [
-    `${showAllFiles ? '' : 'Impacted '}Files`,
-    '% Stmts',
-    '% Branch',
-    '% Funcs',
-    '% Lines',
-    'Uncovered Lines',
-    '',
-  ];
+  return percentage === '-' ? Infinity : Number(percentage);
+};
 
-  const headingRow = joinRow(headings);
-  const seperator = joinRow(
-    new Array(headings.length).fill().reduce((acc, _, index) => [
-      ...acc,
-      index === 0 ? '---' : ':-:', // Center align all but the first column
-    ], []),
-  );
+/**
+ * Sort the files for the coverage table.
+ */
+const sortFiles = (files, opts) => {
+  const { sortBy } = opts;
+  const comparators = {
+    statements: (file) => getSortablePercentage(file, 'statements'),
+    branches: (file) => getSortablePercentage(file, 'branches'),
+    functions: (file) => getSortablePercentage(file, 'functions'),
+    lines: (file) => getSortablePercentage(file, 'lines'),
+    uncovered: (file) => -getFileMetrics(file).uncoveredLines.length,
+    path: (file) => path.relative(process.cwd(), file.$.path),
+    failing: (file) => Number(hasPassed(
+      getFileThreshold(file, opts),
+      getMetricPercentages(getFileMetrics(file)),
+    )),
+  };
+
+  const getSortValue = comparators[sortBy];
 
-  const allFileRows = files.map((file) => buildRow(file, opts));
-  const mainFileRows = allFileRows.slice(0, maxRows);
-  const extraFileRows = allFileRows.slice(maxRows);
-
-  let table = [
-    headingRow,
-    seperator,
-    ...mainFileRows,
-  ].join(newLine);
-
-  if (extraFileRows.length) {
-    table += [
-      newLine,
-      '<details>',
-      '<summary>',
-      `and ${extraFileRows.length} more...`,
-      '</summary>',
-      '',
-      headingRow,
-      seperator,
-      ...extraFileRows,
-      '</details>',
-    ].join(newLine);
+  if (!getSortValue) {
+    return files;
   }
 
-  return table;
+  return files
+    .map((file) => ({ file, value: getSortValue(file) }))
+    .sort((a, b) => {
+      if (a.value < b.value) {
+        return -1;
+      }
+
+      return a.value > b.value ? 1 : 0;
+    })
+    .map(({ file }) => file);
 };
 
+/**
+ * Get the thresholds for each override that applies to any of the files.
+ */
+const getFootnotes = (files, { threshold, thresholdOverrides = [] }) => thresholdOverrides
+  .map((override, index) => ({ override, index }))
+  .filter(({ index }) => files.some((file) => (
+    getThresholdOverrideIndex(file, thresholdOverrides) === index
+  )))
+  .map(({ override, index }) => ({
+    index,
+    label: getOverrideLabel(override),
+    threshold: { ...threshold, ...override.threshold },
+  }));
+
+/**
+ * Get the functions that were never called in each file.
+ */
+const getUncoveredFunctions = (files, { maxUncovered, linkTemplate }) => files
+  .map((file) => {
+    const { uncoveredFunctions } = getFileMetrics(file);
+    const longPath = path.relative(process.cwd(), file.$.path);
+
+    return {
+      path: longPath,
+      link: getLink(longPath, {}, { linkTemplate }),
+      functions: uncoveredFunctions.slice(0, maxUncovered).map(({ $: line }) => {
+        // Some formats don't give the line a function starts on
+        const num = line.num === null ? null : Number(line.num);
+
+        return {
+          name: line.name || null,
+          line: num,
+          link: num === null ? null : getLink(longPath, { start: num }, { linkTemplate }),
+        };
+      }),
+      total: uncoveredFunctions.length,
+      more: uncoveredFunctions.length > maxUncovered,
+    };
+  })
+  .filter(({ total }) => total > 0);
+
 /**
  * Get a line for the threshold summary.
  */
-const getThresholdSummaryLine = (percentages, key, threshold) => {
+const getThresholdSummaryLine = (percentages, key, threshold, label) => {
   const wasMet = Number(percentages[key]) >= (threshold[key] || 0);
 
   if (wasMet) {
     return '';
   }
 
-  return `Coverage threshold for ${key} (${threshold[key]}%) not met: ${percentages[key]}%`;
+  const subject = label ? `${key} in ${label}` : key;
+
+  return `Coverage threshold for ${subject} (${threshold[key]}%) not met: ${percentages[key]}%`;
+};
+
+/**
+ * Group files by the thresholds that apply to them.
+ */
+const getThresholdGroups = (files, { threshold, thresholdOverrides = [] }) => {
+  const defaultGroup = {
+    threshold,
+    files: files.filter((file) => getThresholdOverrideIndex(file, thresholdOverrides) === -1),
+  };
+
+  const overrideGroups = thresholdOverrides.map((override, index) => ({
+    label: getOverrideLabel(override),
+    threshold: { ...threshold, ...override.threshold },
+    files: files.filter((file) => getThresholdOverrideIndex(file, thresholdOverrides) === index),
+  }));
+
+  return [defaultGroup, ...overrideGroups]
+    .filter((group) => group.files.length)
+    .map((group) => ({
+      ...group,
+      percentages: getMetricPercentages(getCombinedMetrics(group.files)),
+    }));
 };
 
 /**
- * Build the test summary.
+ * Get the threshold summary lines for each group of files, keyed by metric.
  */
-const buildSummary = (metrics, { successMessage, failureMessage, threshold }) => {
-  const percentages = getMetricPercentages(metrics);
-  const passed = hasPassed(threshold, percentages);
+const getGroupedThresholdSummaryLines = (thresholdGroups) => [].concat(
+  ...thresholdGroups.map(({ percentages, threshold, label }) => (
+    ['statements', 'branches', 'functions', 'lines'].map((key) => ({
+      key,
+      summaryLine: getThresholdSummaryLine(percentages, key, threshold, label),
+    }))
+  )),
+).filter(({ summaryLine }) => !!summaryLine);
 
-  const thresholdSummary = [
-    getThresholdSummaryLine(percentages, 'statements', threshold),
-    getThresholdSummaryLine(percentages, 'branches', threshold),
-    getThresholdSummaryLine(percentages, 'functions', threshold),
-    getThresholdSummaryLine(percentages, 'lines', threshold),
-  ].filter((x) => !!x); // Remove empty strings
+/**
+ * Get the data for the summary.
+ */
+const getSummaryData = (metrics, {
+  showAllFiles,
+  thresholdGroups,
+  baseMetrics,
+  projectMetrics,
+  baseProjectMetrics,
+  patchMetrics,
+  patchThreshold,
+}) => {
+  const patchPercentage = getPatchPercentage(patchMetrics);
+  const patchPassed = Number(patchPercentage) >= patchThreshold || patchPercentage === '-';
+
+  return {
+    passed: patchPassed && thresholdGroups.every((group) => (
+      hasPassed(group.threshold, group.percentages)
+    )),
+    totals: [
+      {
+        label: showAllFiles ? 'All files' : 'Impacted files',
+        percentages: getMetricPercentages(metrics),
+        basePercentages: baseMetrics ? getMetricPercentages(baseMetrics) : {},
+      },
+      {
+        label: 'Project',
+        percentages: getMetricPercentages(projectMetrics),
+        basePercentages: baseProjectMetrics ? getMetricPercentages(baseProjectMetrics) : {},
+      },
+    ],
+    patch: patchMetrics?.patchlines ? {
+      percentage: patchPercentage,
+      covered: patchMetrics.coveredpatchlines,
+      total: patchMetrics.patchlines,
+    } : null,
+    thresholdFailures: [
+      ...getGroupedThresholdSummaryLines(thresholdGroups).map(({ summaryLine }) => summaryLine),
+      ...(patchMetrics?.patchlines ? [
+        getThresholdSummaryLine({ patch: patchPercentage }, 'patch', { patch: patchThreshold }),
+      ] : []),
+    ].filter((x) => !!x), // Remove empty strings
+  };
+};
 
-  if (passed) {
-    return `> ${successMessage}`;
+/**
+ * Check if a file path matches the include and exclude globs.
+ */
+const isIncluded = (filePath, { include, exclude }) => (
+  (!include?.length || micromatch.isMatch(filePath, include))
+  && !(exclude?.length && micromatch.isMatch(filePath, exclude))
+);
+
+/**
+ * Get the metrics for the whole project, leaving out any files that don't
+ * match the include and exclude globs.
+ *
+ * The project totals in the report can't be filtered, so when either glob is
+ * given the metrics are counted from the files instead.
+ */
+const getIncludedProjectMetrics = (coverage, { include, exclude }) => {
+  if (!include?.length && !exclude?.length) {
+    return getProjectMetrics(coverage);
   }
 
-  return [
-    `> ${failureMessage}`,
-    ...(thresholdSummary.length ? [
-      '',
-      '```',
-      ...thresholdSummary,
-      '```',
-    ] : []),
-  ].join(newLine);
+  return getCombinedMetrics(getFlatFiles(coverage).filter((file) => (
+    isIncluded(path.relative(process.cwd(), file.$.path), { include, exclude })
+  )));
 };
 
 /**
- * Get the combined metrics for the checked files.
+ * Create a file for a source file that is missing from the report.
+ *
+ * Each non-blank line is counted as an uncovered statement, so that the file
+ * counts against the thresholds.
  */
-const getCombinedMetrics = (files) => files.reduce((acc, file) => {
-  const fileMetrics = getFileMetrics(file);
+const createMissingFile = (filePath) => {
+  const lineNums = fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map((content, i) => (content.trim() ? i + 1 : null))
+    .filter((num) => num !== null);
+
+  const file = createFile(path.resolve(filePath), {
+    statements: lineNums.length,
+    coveredstatements: 0,
+    conditionals: 0,
+    coveredconditionals: 0,
+    methods: 0,
+    coveredmethods: 0,
+  }, lineNums.map((num) => ({ num, count: 0, type: 'stmt' })));
+
+  file.$.missing = true;
+
+  return file;
+};
 
-  Object.keys(fileMetrics).forEach((key) => {
-    acc[key] = acc[key] || 0 + Number(fileMetrics[key]);
-  });
+/**
+ * Get the changed source files that are missing from the report.
+ */
+const getMissingFiles = (files, changedFiles, { sourceFiles, include, exclude }) => {
+  if (!sourceFiles?.length) {
+    return [];
+  }
+
+  const reportedPaths = new Set(files.map(getFileKey));
 
-  return acc;
-}, {});
+  return changedFiles
+    .filter((filePath) => (
+      micromatch.isMatch(filePath, sourceFiles)
+      && isIncluded(filePath, { include, exclude })
+      && !reportedPaths.has(path.resolve(filePath))
+      && fs.existsSync(filePath)
+    ))
+    .map(createMissingFile);
+};
 
 /**
  * Get the relevant files.
  */
-const getRelevantFiles = (coverageXml, { showAllFiles }) => {
-  const files = getFlatFiles(coverageXml);
+const getRelevantFiles = (coverageXml, {
+  showAllFiles,
+  sourceFiles,
+  include,
+  exclude,
+}) => {
+  const files = getFlatFiles(coverageXml).filter((file) => (
+    isIncluded(path.relative(process.cwd(), file.$.path), { include, exclude })
+  ));
+
   const allFiles = [
     ...(danger.git?.created_files || []),
     ...(danger.git?.modified_files || []),
@@ -324,61 +481,325 @@ const getRelevantFiles = (coverageXml, { showAllFiles }) => {
     allFiles.includes(path.relative(process.cwd(), file.$.path))
   ));
 
+  const missingFiles = getMissingFiles(files, allFiles, { sourceFiles, include, exclude });
+
   if (showAllFiles) {
-    return files;
+    return [...files, ...missingFiles];
   }
 
-  return relevantFiles;
+  return [...relevantFiles, ...missingFiles];
 };
 
 /**
- * Report coverage.
+ * Get a message for each metric that decreased by more than the maximum allowed.
  */
-export const coverage = async (initialOpts = {}) => {
-  const opts = {
-    successMessage: ':+1: Test coverage is looking good.',
-    failureMessage: 'Test coverage is looking a little low for the files created '
-      + 'or modified in this PR, perhaps we need to improve this.',
-    cloverReportPath: null,
-    maxRows: 3,
-    maxChars: 100,
-    maxUncovered: 10,
-    wrapFilenames: true,
-    showAllFiles: false,
-    warnOnNoReport: true,
-    threshold: {
-      statements: 80,
-      branches: 80,
-      functions: 80,
-      lines: 80,
+const getDecreaseMessages = (percentages, basePercentages, maxDecrease, subject) => (
+  ['statements', 'branches', 'functions', 'lines']
+    .filter((key) => getDelta(percentages[key], basePercentages[key]) < -maxDecrease)
+    .map((key) => (
+      `Coverage for ${key} ${subject} decreased by `
+      + `${-getDelta(percentages[key], basePercentages[key])}% `
+      + `(from ${basePercentages[key]}% to ${percentages[key]}%)`
+    ))
+);
+
+/**
+ * Warn or fail if coverage has decreased by more than the maximum allowed.
+ */
+const checkDecreases = (files, combinedMetrics, {
+  baseFiles,
+  baseMetrics,
+  maxDecrease,
+  decreaseAction,
+}) => {
+  const report = decreaseAction === 'fail' ? fail : warn;
+
+  const fileMessages = files.map((file) => {
+    const baseFile = baseFiles.get(getFileKey(file));
+
+    if (!baseFile) {
+      return [];
+    }
+
+    return getDecreaseMessages(
+      getMetricPercentages(getFileMetrics(file)),
+      getMetricPercentages(getFileMetrics(baseFile)),
+      maxDecrease,
+      `in ${path.relative(process.cwd(), file.$.path)}`,
+    );
+  });
+
+  const combinedMessages = getDecreaseMessages(
+    getMetricPercentages(combinedMetrics),
+    getMetricPercentages(baseMetrics),
+    maxDecrease,
+    'across the impacted files',
+  );
+
+  [].concat(...fileMessages, combinedMessages).forEach((msg) => report(msg));
+};
+
+/**
+ * Get the action to take when the threshold for a metric is not met.
+ */
+const getThresholdAction = (thresholdAction, key) => (
+  typeof thresholdAction === 'object' ? thresholdAction?.[key] : thresholdAction
+);
+
+/**
+ * Warn or fail for each metric that does not meet its threshold.
+ */
+const checkThresholds = ({
+  thresholdGroups,
+  thresholdAction,
+  patchMetrics,
+  patchThreshold,
+}) => {
+  const patchPercentage = getPatchPercentage(patchMetrics);
+  const actions = { fail, warn };
+
+  const summaryLines = [
+    ...getGroupedThresholdSummaryLines(thresholdGroups),
+    {
+      key: 'patch',
+      summaryLine: patchPercentage !== '-'
+        ? getThresholdSummaryLine({ patch: patchPercentage }, 'patch', { patch: patchThreshold })
+        : '',
     },
-    ...initialOpts,
+  ];
+
+  summaryLines.forEach(({ key, summaryLine }) => {
+    const action = actions[getThresholdAction(thresholdAction, key)];
+
+    if (summaryLine && action) {
+      action(summaryLine);
+    }
+  });
+};
+
+/**
+ * Get the lines added or changed in the PR for each file.
+ */
+const getAddedLinesByFile = async (files) => new Map(await Promise.all(files.map(async (file) => [
+  getFileKey(file),
+  await getAddedLines(path.relative(process.cwd(), file.$.path)),
+])));
+
+/**
+ * Get the combined coverage of the lines added or changed in the PR.
+ */
+const getCombinedPatchMetrics = (files, addedLinesByFile) => files.reduce((acc, file) => {
+  const { patchlines, coveredpatchlines } = getPatchMetrics(
+    file,
+    addedLinesByFile.get(getFileKey(file)),
+  );
+
+  return {
+    patchlines: acc.patchlines + patchlines,
+    coveredpatchlines: acc.coveredpatchlines + coveredpatchlines,
+  };
+}, { patchlines: 0, coveredpatchlines: 0 });
+
+/**
+ * Build the results for a file.
+ */
+const buildFileResult = (file, { threshold, thresholdOverrides, addedLinesByFile }) => {
+  const fileMetrics = getFileMetrics(file);
+  const percentages = getMetricPercentages(fileMetrics);
+  const thresholds = getThresholdResults(
+    getFileThreshold(file, { threshold, thresholdOverrides }),
+    percentages,
+  );
+
+  const patchMetrics = addedLinesByFile
+    && getPatchMetrics(file, addedLinesByFile.get(getFileKey(file)));
+
+  return {
+    path: path.relative(process.cwd(), file.$.path),
+    missing: !!file.$.missing,
+    metrics: getMetricResults(fileMetrics),
+    thresholds,
+    passed: Object.values(thresholds).every(({ passed }) => passed),
+    uncoveredLines: fileMetrics.uncoveredLines.map(({ $: line }) => Number(line.num)),
+    uncoveredBranches: fileMetrics.uncoveredBranches.map(({ $: line }) => ({
+      line: Number(line.num),
+      covered: Number(line.truecount || 0),
+      total: Number(line.truecount || 0) + Number(line.falsecount || 0),
+    })),
+    uncoveredFunctions: fileMetrics.uncoveredFunctions.map(({ $: line }) => ({
+      name: line.name || null,
+      line: Number(line.num),
+    })),
+    ...(patchMetrics ? {
+      patch: {
+        total: patchMetrics.patchlines,
+        covered: patchMetrics.coveredpatchlines,
+        percentage: getPatchPercentage(patchMetrics),
+      },
+    } : {}),
   };
+};
 
-  const coverageXml = await getCoverageReport(opts.cloverReportPath);
+/**
+ * Build the results of the coverage checks.
+ */
+const buildResult = (files, {
+  combinedMetrics,
+  projectMetrics,
+  patchMetrics,
+  patchThreshold,
+  thresholdGroups,
+  ...opts
+}) => {
+  const patchPercentage = getPatchPercentage(patchMetrics);
+  const thresholds = thresholdGroups.map((group) => {
+    const groupThresholds = getThresholdResults(group.threshold, group.percentages);
+
+    return {
+      label: group.label || null,
+      files: group.files.map((file) => path.relative(process.cwd(), file.$.path)),
+      thresholds: groupThresholds,
+      passed: Object.values(groupThresholds).every(({ passed }) => passed),
+    };
+  });
+
+  const patch = patchMetrics ? {
+    total: patchMetrics.patchlines,
+    covered: patchMetrics.coveredpatchlines,
+    percentage: patchPercentage,
+    threshold: patchThreshold,
+    passed: patchPercentage === '-' || patchPercentage >= patchThreshold,
+  } : null;
+
+  return {
+    passed: thresholds.every(({ passed }) => passed) && (!patch || patch.passed),
+    files: files.map((file) => buildFileResult(file, opts)),
+    total: getMetricResults(combinedMetrics),
+    project: getMetricResults(projectMetrics),
+    thresholds,
+    patch,
+  };
+};
+
+/**
+ * Get the base report, if one was given.
+ */
+const getBaseCoverage = async (opts) => {
+  if (!opts.baseReportPath) {
+    return null;
+  }
+
+  return getCoverageReport(opts.baseReportPath, opts);
+};
+
+/**
+ * Report coverage.
+ */
+export const coverage = async (initialOpts = {}) => {
+  const opts = getOptions(initialOpts);
+
+  const coverageXml = await getCoverageReport(opts.cloverReportPath, opts);
 
   if (!coverageXml) {
     if (opts.warnOnNoReport) {
       warn('No coverage report was detected. '
-        + 'Please output a report in the `clover.xml` format before running danger');
+        + 'Please output a report in one of the supported formats (Clover, LCOV, Cobertura, '
+        + 'Istanbul JSON, JaCoCo or Go) before running danger');
     }
-    return;
+    return null;
+  }
+
+  const reportedFiles = getFlatFiles(coverageXml);
+
+  if (reportedFiles.length && !reportedFiles.some((file) => isRepoFile(file.$.path))) {
+    warn('None of the files in the coverage report could be found in the repo, '
+      + `such as \`${reportedFiles[0].$.path}\`. If the report was generated in another `
+      + 'directory use the `pathMappings` setting to map its paths.');
+  }
+
+  if (opts.badgePath || opts.badgeEndpointPath) {
+    writeBadge(getIncludedProjectMetrics(coverageXml, opts), opts);
   }
 
   const relevantFiles = getRelevantFiles(coverageXml, opts);
 
   if (!relevantFiles.length) {
-    return;
+    return null;
   }
 
+  const baseCoverage = await getBaseCoverage(opts);
+  const baseFiles = baseCoverage && new Map(getFlatFiles(baseCoverage).map((file) => (
+    [getFileKey(file), file]
+  )));
+  const relevantBaseFiles = relevantFiles
+    .map((file) => baseFiles?.get(getFileKey(file)))
+    .filter((file) => !!file);
+
+  const baseMetrics = relevantBaseFiles.length ? getCombinedMetrics(relevantBaseFiles) : null;
+
+  const addedLinesByFile = opts.patchCoverage || opts.inlineComments
+    ? await getAddedLinesByFile(relevantFiles)
+    : null;
+
+  const patchMetrics = opts.patchCoverage
+    ? getCombinedPatchMetrics(relevantFiles, addedLinesByFile)
+    : null;
+
   const combinedMetrics = getCombinedMetrics(relevantFiles);
-  const table = buildTable(relevantFiles, opts);
-  const summary = buildSummary(combinedMetrics, opts);
-  const report = [
-    '## Coverage Report',
-    summary,
-    table,
-  ].join(newLine + newLine);
+  const projectMetrics = getIncludedProjectMetrics(coverageXml, opts);
+  const baseProjectMetrics = baseCoverage && getIncludedProjectMetrics(baseCoverage, opts);
+  const thresholdGroups = getThresholdGroups(relevantFiles, opts);
+  const reportOpts = {
+    ...opts,
+    baseFiles,
+    addedLinesByFile,
+    combinedMetrics,
+    baseMetrics,
+    projectMetrics,
+    baseProjectMetrics,
+    patchMetrics,
+    thresholdGroups,
+  };
+
+  const sortedFiles = sortFiles(relevantFiles, opts);
+  const report = renderReport({
+    summary: getSummaryData(combinedMetrics, reportOpts),
+    rows: sortedFiles.map((file) => getRowData(file, reportOpts)),
+    total: relevantFiles.length > 1 ? getTotalData(reportOpts) : null,
+    footnotes: getFootnotes(relevantFiles, opts),
+    uncoveredFunctions: getUncoveredFunctions(sortedFiles, opts),
+  }, opts);
 
   markdown(report);
+
+  if (opts.inlineComments) {
+    postInlineComments(relevantFiles, addedLinesByFile, opts);
+  }
+
+  if (opts.thresholdAction) {
+    checkThresholds({ ...opts, patchMetrics, thresholdGroups });
+  }
+
+  if (baseMetrics && opts.maxDecrease !== null) {
+    checkDecreases(relevantFiles, combinedMetrics, {
+      ...opts,
+      baseFiles,
+      baseMetrics,
+    });
+  }
+
+  const result = buildResult(relevantFiles, {
+    ...opts,
+    addedLinesByFile,
+    combinedMetrics,
+    projectMetrics,
+    patchMetrics,
+    thresholdGroups,
+  });
+
+  if (opts.jsonReportPath) {
+    writeResult(opts.jsonReportPath, result);
+  }
+
+  return result;
 };
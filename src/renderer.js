@@ -0,0 +1,312 @@
+import { getDelta } from './metrics';
+
+const newLine = '\n';
+
+/**
+ * Format a percentage along with its change from the base report, e.g. `85.2 (+3.1)`.
+ */
+export const formatWithDelta = (percentage, basePercentage) => {
+  const delta = getDelta(percentage, basePercentage);
+
+  if (delta === null) {
+    return percentage;
+  }
+
+  return `${percentage} (${delta > 0 ? '+' : ''}${delta})`;
+};
+
+/**
+ * Wrap a label in a markdown link, if there is a URL to link to.
+ */
+export const linkTo = (label, url) => (url ? `[${label}](${url})` : label);
+
+/**
+ * Make a value bold.
+ */
+const bold = (value) => `**${value}**`;
+
+/**
+ * Build a column showing the percentage for a metric.
+ */
+const getMetricColumn = (key, heading, isEmpty) => ({
+  key,
+  heading,
+  align: 'center',
+  cell: (row) => (
+    isEmpty(row) ? '-' : formatWithDelta(row.percentages[key], row.basePercentages[key])
+  ),
+  total: (total) => bold(formatWithDelta(total.percentages[key], total.basePercentages[key])),
+});
+
+/**
+ * Join a list of cells, adding an ellipsis if some were left out.
+ */
+const joinCells = (cells, more) => cells.join(', ') + (more ? '...' : '');
+
+/**
+ * The default columns, keyed so that they can be referred to by name.
+ */
+export const columns = {
+  file: {
+    key: 'file',
+    heading: ({ showAllFiles }) => `${showAllFiles ? '' : 'Impacted '}Files`,
+    align: 'left',
+    cell: (row) => linkTo(row.displayPath, row.link),
+    total: () => bold('Total'),
+  },
+  statements: getMetricColumn('statements', '% Stmts', (row) => row.empty),
+  // Branches and functions can't be counted for files missing from the report
+  branches: getMetricColumn('branches', '% Branch', (row) => row.empty || row.missing),
+  functions: getMetricColumn('functions', '% Funcs', (row) => row.empty || row.missing),
+  lines: getMetricColumn('lines', '% Lines', (row) => row.empty),
+  patch: {
+    key: 'patch',
+    heading: '% Patch',
+    align: 'center',
+    show: ({ patchCoverage }) => !!patchCoverage,
+    cell: (row) => row.patchPercentage,
+    total: (total) => bold(total.patchPercentage),
+  },
+  uncoveredLines: {
+    key: 'uncoveredLines',
+    heading: 'Uncovered Lines',
+    align: 'center',
+    cell: (row) => {
+      if (row.missing) {
+        return 'Not covered by any test';
+      }
+
+      return joinCells(row.uncoveredLines.map(({ start, end, link }) => (
+        linkTo(start !== end ? `${start}-${end}` : start, link)
+      )), row.moreUncoveredLines);
+    },
+  },
+  uncoveredBranches: {
+    key: 'uncoveredBranches',
+    heading: 'Uncovered Branches',
+    align: 'center',
+    // Only make room for uncovered branches when there are some to show
+    show: ({ hasUncoveredBranches }) => hasUncoveredBranches,
+    cell: (row) => joinCells(row.uncoveredBranches.map(({
+      line,
+      covered,
+      total,
+      link,
+    }) => linkTo(`L${line} (${covered}/${total})`, link)), row.moreUncoveredBranches),
+  },
+  status: {
+    key: 'status',
+    heading: '',
+    align: 'center',
+    cell: (row, { icons }) => {
+      let icon = row.passed ? icons.passed : icons.failed;
+
+      if (row.empty) {
+        icon = icons.empty;
+      }
+
+      return row.overrideIndex !== -1 ? `${icon}<sup>${row.overrideIndex + 1}</sup>` : icon;
+    },
+    total: (total, { icons }) => (total.passed ? icons.passed : icons.failed),
+  },
+};
+
+/**
+ * The default status icons.
+ */
+const icons = {
+  passed: ':white_check_mark:',
+  failed: ':x:',
+  empty: '-',
+};
+
+/**
+ * Build a line summarising the percentages for a set of metrics, along with
+ * their change since the base report.
+ */
+const buildTotalSummary = ({ label, percentages, basePercentages }) => {
+  const totals = ['statements', 'branches', 'functions', 'lines'].map((key) => (
+    `${key} ${formatWithDelta(percentages[key], basePercentages[key])}`
+  ));
+
+  return `${label}: ${totals.join(', ')}`;
+};
+
+/**
+ * The default templates for each section of the report.
+ */
+const templates = {
+  report: ({ summary, table, uncoveredFunctions }) => [
+    '## Coverage Report',
+    summary,
+    table,
+    uncoveredFunctions,
+  ].filter((section) => !!section).join(newLine + newLine),
+
+  summary: ({
+    passed,
+    totals,
+    patch,
+    thresholdFailures,
+  }, { successMessage, failureMessage }) => {
+    const [firstTotal, ...otherTotals] = totals.map(buildTotalSummary);
+    const patchSummary = patch ? [
+      '',
+      `Patch coverage: ${patch.percentage}% (${patch.covered} of `
+        + `${patch.total} added or changed lines covered)`,
+    ] : [];
+
+    return [
+      `> ${passed ? successMessage : failureMessage}`,
+      '',
+      ...(otherTotals.length ? [`${firstTotal}<br>`, ...otherTotals] : [firstTotal]),
+      ...patchSummary,
+      ...(!passed && thresholdFailures.length ? [
+        '',
+        '```',
+        ...thresholdFailures,
+        '```',
+      ] : []),
+    ].join(newLine);
+  },
+
+  moreRows: ({ count, table }) => [
+    '<details>',
+    '<summary>',
+    `and ${count} more...`,
+    '</summary>',
+    '',
+    table,
+    '</details>',
+  ].join(newLine),
+
+  footnotes: (footnotes) => footnotes.map(({ index, label, threshold }) => {
+    const thresholds = ['statements', 'branches', 'functions', 'lines']
+      .map((key) => `${key} ${threshold[key]}%`)
+      .join(', ');
+
+    return `<sup>${index + 1}</sup> Thresholds for \`${label}\`: ${thresholds}`;
+  }).join(`<br>${newLine}`),
+
+  uncoveredFunctions: (files) => {
+    if (!files.length) {
+      return '';
+    }
+
+    const total = files.reduce((acc, file) => acc + file.total, 0);
+    const items = files.map((file) => {
+      const functionLinks = joinCells(file.functions.map(({ name, link }) => (
+        linkTo(`\`${name || 'anonymous'}\``, link)
+      )), file.more);
+
+      return `- ${linkTo(file.path, file.link)}: ${functionLinks}`;
+    });
+
+    return [
+      '<details>',
+      `<summary>Uncovered functions (${total})</summary>`,
+      '',
+      ...items,
+      '</details>',
+    ].join(newLine);
+  },
+};
+
+/**
+ * The default renderer, a markdown table for GitHub.
+ */
+export const defaultRenderer = {
+  columns: Object.values(columns),
+  icons,
+  templates,
+};
+
+/**
+ * Get the renderer to use, filling in anything not given from the default.
+ *
+ * Columns may be given as definitions, or as the keys of the default columns.
+ */
+const getRenderer = (renderer = {}) => ({
+  columns: (renderer?.columns || defaultRenderer.columns)
+    .map((column) => (typeof column === 'string' ? columns[column] : column))
+    .filter((column) => !!column),
+  icons: { ...defaultRenderer.icons, ...renderer?.icons },
+  templates: { ...defaultRenderer.templates, ...renderer?.templates },
+});
+
+/**
+ * Join items in a table row.
+ */
+const joinRow = (items) => `|${items.join('|')}|`;
+
+/**
+ * The separator markdown for each alignment.
+ */
+const alignments = {
+  left: '---',
+  center: ':-:',
+  right: '--:',
+};
+
+/**
+ * Render the coverage table.
+ */
+const renderTable = ({
+  rows,
+  total,
+  footnotes,
+  maxRows,
+}, { columns: allColumns, templates: { moreRows, footnotes: renderFootnotes } }, context) => {
+  const visibleColumns = allColumns.filter(({ show }) => !show || show(context));
+
+  const headingRow = joinRow(visibleColumns.map(({ heading }) => (
+    typeof heading === 'function' ? heading(context) : heading
+  )));
+  const seperator = joinRow(visibleColumns.map(({ align }) => alignments[align] || '---'));
+
+  const allFileRows = rows.map((row) => joinRow(visibleColumns.map(({ cell }) => (
+    cell(row, context)
+  ))));
+  const mainFileRows = allFileRows.slice(0, maxRows);
+  const extraFileRows = allFileRows.slice(maxRows);
+
+  let table = [
+    headingRow,
+    seperator,
+    ...mainFileRows,
+    ...(total ? [joinRow(visibleColumns.map((column) => (
+      column.total ? column.total(total, context) : ''
+    )))] : []),
+  ].join(newLine);
+
+  if (extraFileRows.length) {
+    table += newLine + newLine + moreRows({
+      count: extraFileRows.length,
+      table: [headingRow, seperator, ...extraFileRows].join(newLine),
+    }, context);
+  }
+
+  if (footnotes.length) {
+    table += newLine + newLine + renderFootnotes(footnotes, context);
+  }
+
+  return table;
+};
+
+/**
+ * Render the report.
+ */
+export const renderReport = (data, opts) => {
+  const renderer = getRenderer(opts.renderer);
+  const context = {
+    ...opts,
+    hasUncoveredBranches: data.rows.some((row) => row.uncoveredBranches.length),
+    icons: renderer.icons,
+  };
+
+  return renderer.templates.report({
+    summary: renderer.templates.summary(data.summary, context),
+    table: renderTable({ ...data, maxRows: opts.maxRows }, renderer, context),
+    uncoveredFunctions: renderer.templates.uncoveredFunctions(data.uncoveredFunctions, context),
+  }, context);
+};
@@ -1,37 +1,116 @@
 import fs from 'fs';
+import path from 'path';
 import glob from 'fast-glob';
-import { Parser as XMLParser } from 'xml2js';
+
+import { parseClover } from './formats/clover';
+import { parseCobertura } from './formats/cobertura';
+import { parseGo } from './formats/go';
+import { parseIstanbul } from './formats/istanbul';
+import { parseJacoco } from './formats/jacoco';
+import { parseLcov } from './formats/lcov';
+import { mergeCoverage } from './model';
+import { mapReportPaths } from './paths';
+
+/**
+ * The default report locations, in order of preference.
+ */
+const defaultReportPatterns = [
+  '*/clover.xml',
+  '*/lcov.info',
+  '{,*/}coverage.xml',
+  '*/coverage-final.json',
+  '*/coverage-summary.json',
+  'target/site/jacoco/jacoco.xml',
+  'build/reports/jacoco/test/jacocoTestReport.xml',
+  '*/jacoco.xml',
+  '{,*/}coverage.out',
+];
+
+const parsers = {
+  clover: parseClover,
+  cobertura: parseCobertura,
+  go: parseGo,
+  istanbul: parseIstanbul,
+  jacoco: parseJacoco,
+  lcov: parseLcov,
+};
 
 /**
  * Get the path to the coverage report.
  */
-const getReportPath = () => {
-  const [filePath] = glob.sync(`${process.cwd()}/*/clover.xml`);
+const getReportPath = () => defaultReportPatterns
+  .map((pattern) => glob.sync(`${process.cwd()}/${pattern}`)[0])
+  .find((filePath) => !!filePath);
+
+/**
+ * Get the paths to the coverage reports.
+ */
+const getReportPaths = (customReportPath) => {
+  if (!customReportPath) {
+    return [getReportPath()];
+  }
 
-  return filePath;
+  return [].concat(...[].concat(customReportPath).map((reportPath) => (
+    glob.isDynamicPattern(reportPath)
+      ? glob.sync(reportPath, { cwd: process.cwd(), absolute: true })
+      : [reportPath]
+  )));
 };
 
 /**
- * Parse the coverage report.
+ * Detect the format of a report from its contents, falling back to its extension.
  */
-const parse = async (filePath) => {
-  const xmlParser = new XMLParser();
+const getFormat = (filePath, data) => {
+  const content = data.trim();
+
+  if (content.startsWith('<')) {
+    if (/<report[\s>]/.test(content)) {
+      return 'jacoco';
+    }
+
+    return /<coverage[^>]*\sline-rate=|<packages[\s>]/.test(content) ? 'cobertura' : 'clover';
+  }
 
-  if (!fs.existsSync(filePath)) {
+  if (content.startsWith('mode:')) {
+    return 'go';
+  }
+
+  if (content.startsWith('{')) {
+    return 'istanbul';
+  }
+
+  if (/^(TN|SF):/m.test(content) || path.extname(filePath) === '.info') {
+    return 'lcov';
+  }
+
+  return 'clover';
+};
+
+/**
+ * Parse the coverage report.
+ */
+const parse = async (filePath, opts) => {
+  if (!filePath || !fs.existsSync(filePath)) {
     return null;
   }
 
-  const data = fs.readFileSync(filePath);
-  const { coverage: coverageXml } = await xmlParser.parseStringPromise(data);
+  const data = fs.readFileSync(filePath, 'utf8');
+  const format = getFormat(filePath, data);
 
-  return coverageXml;
+  return mapReportPaths(await parsers[format](data, opts), opts);
 };
 
 /**
- * Get the coverage report.
+ * Get the coverage report, merging multiple reports into one.
  */
-export const getCoverageReport = (customReportPath) => {
-  const filePath = customReportPath || getReportPath();
+export const getCoverageReport = async (customReportPath, opts = {}) => {
+  const filePaths = getReportPaths(customReportPath);
+  const reports = await Promise.all(filePaths.map((filePath) => parse(filePath, opts)));
+  const existingReports = reports.filter((report) => !!report);
+
+  if (!existingReports.length) {
+    return null;
+  }
 
-  return parse(filePath);
+  return mergeCoverage(existingReports);
 };
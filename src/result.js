@@ -0,0 +1,48 @@
+import { writeFile } from './files';
+import { getMetricPercentages } from './metrics';
+
+/**
+ * The total and covered keys for each metric.
+ */
+const metricTotalKeys = {
+  statements: ['statements', 'coveredstatements'],
+  branches: ['conditionals', 'coveredconditionals'],
+  functions: ['methods', 'coveredmethods'],
+  lines: ['lines', 'coveredlines'],
+};
+
+/**
+ * Get the total, covered and percentage for each metric.
+ */
+export const getMetricResults = (metrics) => {
+  const percentages = getMetricPercentages(metrics);
+
+  return Object.entries(metricTotalKeys).reduce((acc, [key, [totalKey, coveredKey]]) => ({
+    ...acc,
+    [key]: {
+      total: Number(metrics[totalKey] || 0),
+      covered: Number(metrics[coveredKey] || 0),
+      percentage: percentages[key],
+    },
+  }), {});
+};
+
+/**
+ * Get whether each metric meets its threshold.
+ */
+export const getThresholdResults = (threshold, percentages) => Object.keys(metricTotalKeys)
+  .reduce((acc, key) => ({
+    ...acc,
+    [key]: {
+      threshold: threshold[key],
+      percentage: percentages[key],
+      passed: percentages[key] === '-' || Number(percentages[key]) >= threshold[key],
+    },
+  }), {});
+
+/**
+ * Write the results to a JSON file.
+ */
+export const writeResult = (filePath, result) => {
+  writeFile(filePath, `${JSON.stringify(result, null, 2)}\n`);
+};
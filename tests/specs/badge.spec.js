@@ -0,0 +1,113 @@
+import fs from 'fs';
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH } from '../constants';
+import { getFileXml, setupEnv, wrapXmlReport } from '../utils';
+
+const getLines = (count, covered) => new Array(count).fill().map((_, index) => ({
+  num: index + 1,
+  count: index < covered ? 1 : 0,
+  type: 'stmt',
+}));
+
+const metrics = {
+  statements: 10,
+  coveredstatements: 5,
+  conditionals: 0,
+  coveredconditionals: 0,
+  methods: 0,
+  coveredmethods: 0,
+};
+
+describe('Badge', () => {
+  beforeEach(() => {
+    setupEnv();
+
+    Object.assign(danger, {
+      git: {
+        created_files: [],
+        modified_files: [],
+      },
+    });
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  it('writes an SVG badge for the project coverage', async () => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', metrics, getLines(8, 7))),
+    });
+
+    await coverage({ badgePath: 'badges/coverage.svg' });
+
+    const svg = fs.readFileSync('badges/coverage.svg', 'utf8');
+
+    expect(svg).toContain('<title>coverage: 87.5%</title>');
+    expect(svg).toContain('fill="#4c1"');
+    expect(svg).toMatchSnapshot();
+  });
+
+  it.each([
+    [8, 'brightgreen'],
+    [7, 'yellow'],
+    [6, 'orange'],
+    [5, 'red'],
+  ])('colours the badge by the threshold with %i of 10 lines covered', async (covered, color) => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', metrics, getLines(10, covered))),
+    });
+
+    await coverage({ badgeEndpointPath: 'badges/coverage.json' });
+
+    expect(JSON.parse(fs.readFileSync('badges/coverage.json', 'utf8'))).toEqual({
+      schemaVersion: 1,
+      label: 'coverage',
+      message: `${covered * 10}%`,
+      color,
+    });
+  });
+
+  it('writes a badge for the chosen metric', async () => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', metrics, getLines(8, 7))),
+    });
+
+    await coverage({
+      badgeEndpointPath: 'badges/coverage.json',
+      badgeMetric: 'statements',
+      threshold: {
+        statements: 50,
+        branches: 80,
+        functions: 80,
+        lines: 80,
+      },
+    });
+
+    expect(JSON.parse(fs.readFileSync('badges/coverage.json', 'utf8'))).toEqual({
+      schemaVersion: 1,
+      label: 'coverage',
+      message: '50%',
+      color: 'brightgreen',
+    });
+  });
+
+  it('warns and falls back to lines for an unknown metric', async () => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', metrics, getLines(10, 9))),
+    });
+
+    await coverage({ badgeEndpointPath: 'badges/coverage.json', badgeMetric: 'line' });
+
+    expect(warn.mock.calls.filter(([msg]) => msg.includes('badgeMetric'))).toEqual([
+      ['The coverage setting `badgeMetric` should be one of `statements`, `branches`, '
+        + '`functions`, `lines`, but got `"line"`.'],
+    ]);
+    expect(JSON.parse(fs.readFileSync('badges/coverage.json', 'utf8'))).toMatchObject({
+      message: '90%',
+      color: 'brightgreen',
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { execFileSync } from 'child_process';
+import mockFs from 'mock-fs';
+
+import { run } from '../../src/cli';
+import { CLOVER_PATH, DEFAULT_METRICS, DEFAULT_LINE } from '../constants';
+import { getFileXml, wrapXmlReport } from '../utils';
+
+jest.mock('child_process');
+
+describe('CLI', () => {
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    const files = [
+      getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+      getFileXml('src/two.js', { ...DEFAULT_METRICS, coveredstatements: 5 }, [
+        { num: 1, count: 0, type: 'stmt' },
+      ]),
+    ];
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(files.join('\n')),
+    });
+
+    stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+    jest.restoreAllMocks();
+  });
+
+  const getOutput = (stream) => stream.mock.calls.map(([chunk]) => chunk).join('');
+
+  it('prints the report for the files changed since the base', async () => {
+    execFileSync.mockReturnValue('src/one.js\n');
+
+    const exitCode = await run(['--base', 'origin/main']);
+
+    expect(execFileSync).toHaveBeenCalledWith(
+      'git',
+      ['diff', '--name-only', '--diff-filter=d', 'origin/main'],
+      { encoding: 'utf8' },
+    );
+    expect(getOutput(stdout)).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
+    expect(getOutput(stdout)).not.toContain('src/two.js');
+    expect(exitCode).toBe(0);
+  });
+
+  it('prints the report as text', async () => {
+    execFileSync.mockReturnValue('src/one.js\nsrc/two.js\n');
+
+    const exitCode = await run(['--format=text']);
+    const output = getOutput(stdout).split('\n');
+
+    expect(output).toContain('Impacted Files  % Stmts  % Branch  % Funcs  % Lines  Uncovered Lines');
+    expect(output).toContain('src/one.js      100      100       100      100                       pass');
+    expect(output).toContain('src/two.js      50       100       100      0        1                FAIL');
+    expect(output).toContain('Total           75       100       100      50                        FAIL');
+    expect(exitCode).toBe(1);
+  });
+
+  it('exits with an error if the thresholds are not met', async () => {
+    execFileSync.mockReturnValue('src/two.js\n');
+
+    expect(await run([])).toBe(1);
+    expect(execFileSync).toHaveBeenCalledWith(
+      'git',
+      ['diff', '--name-only', '--diff-filter=d', 'origin/HEAD'],
+      { encoding: 'utf8' },
+    );
+  });
+
+  it('prints warnings and failures to stderr', async () => {
+    execFileSync.mockReturnValue('src/one.js\n');
+
+    const exitCode = await run(['--report', 'missing/clover.xml']);
+
+    expect(getOutput(stderr)).toMatch(/^warn: No coverage report was detected/);
+    expect(exitCode).toBe(0);
+  });
+
+  it('exits with an error for unknown options', async () => {
+    expect(await run(['--foo'])).toBe(2);
+    expect(getOutput(stderr)).toMatch(/^Unknown option: --foo\n\nUsage: danger-coverage/);
+  });
+});
@@ -0,0 +1,258 @@
+import path from 'path';
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS, DEFAULT_LINE } from '../constants';
+import {
+  getFileXml,
+  getMarkdownReport,
+  setupEnv,
+  wrapXmlReport,
+} from '../utils';
+
+const xmlReport = wrapXmlReport(getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]));
+
+describe('Config', () => {
+  beforeEach(() => {
+    setupEnv();
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  it('loads the settings from a .dangercoveragerc file', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      '.dangercoveragerc': JSON.stringify({
+        successMessage: 'From the rc file',
+        failureMessage: 'Not used',
+      }),
+    });
+
+    await coverage();
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('> From the rc file');
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('loads the settings from a danger-coverage.config.js file', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      'danger-coverage.config.js': '',
+    });
+
+    jest.doMock(
+      path.resolve('danger-coverage.config.js'),
+      () => ({ successMessage: 'From the config file' }),
+      { virtual: true },
+    );
+
+    await coverage();
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('> From the config file');
+  });
+
+  it('warns if a danger-coverage.config.js file can not be loaded', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      'danger-coverage.config.js': '',
+    });
+
+    jest.resetModules();
+    jest.doMock(
+      path.resolve('danger-coverage.config.js'),
+      () => {
+        throw new Error('Unexpected end of input');
+      },
+      { virtual: true },
+    );
+
+    await coverage();
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(warn).toHaveBeenCalledWith(
+      'Could not load `danger-coverage.config.js`: Unexpected end of input',
+    );
+    expect(lines).toContain('> :+1: Test coverage is looking good.');
+  });
+
+  it('loads the settings from package.json', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      'package.json': JSON.stringify({
+        name: 'my-package',
+        dangerCoverage: {
+          successMessage: 'From package.json',
+        },
+      }),
+    });
+
+    await coverage();
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('> From package.json');
+  });
+
+  it('overrides the settings from a config file with those given', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      '.dangercoveragerc': JSON.stringify({
+        successMessage: 'From the rc file',
+        threshold: { lines: 90 },
+      }),
+    });
+
+    const result = await coverage({
+      successMessage: 'From the dangerfile',
+      threshold: { branches: 50 },
+    });
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('> From the dangerfile');
+    expect(result.thresholds[0].thresholds).toEqual({
+      statements: { threshold: 80, percentage: 100, passed: true },
+      branches: { threshold: 50, percentage: 100, passed: true },
+      functions: { threshold: 80, percentage: 100, passed: true },
+      lines: { threshold: 90, percentage: 100, passed: true },
+    });
+  });
+
+  it('warns about unknown or invalid settings', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      '.dangercoveragerc': JSON.stringify({
+        maxRow: 5,
+        threshold: { lines: 120, line: 80 },
+      }),
+    });
+
+    await coverage({
+      maxUncovered: '10',
+      thresholdOverrides: [{ files: 'src/**', threshold: { branches: -1 } }],
+    });
+
+    expect(warn.mock.calls).toEqual([
+      ['The coverage setting `maxUncovered` should be of type number, but got string.'],
+      ['Unknown coverage setting `maxRow`.'],
+      ['The coverage setting `threshold.lines` should be a number between 0 and 100, but got `120`.'],
+      ['Unknown key `line` in the coverage setting `threshold`.'],
+      ['The coverage setting `thresholdOverrides[0].threshold.branches` should be a number between 0 and 100, but got `-1`.'],
+    ]);
+  });
+
+  it('warns about and ignores invalid entries in list settings', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    const result = await coverage({
+      thresholdOverrides: [
+        { threshold: { lines: 90 } },
+        { files: 'src/**', threshold: '90' },
+        { files: 'src/**', threshold: { lines: 50 } },
+      ],
+      pathMappings: [{ to: '/x' }, 'src'],
+    });
+
+    expect(warn.mock.calls).toEqual([
+      ['The coverage setting `thresholdOverrides[0].files` should be of type string or array, '
+        + 'but got undefined. The entry will be ignored.'],
+      ['The coverage setting `thresholdOverrides[1].threshold` should be of type object or '
+        + 'undefined, but got string. The entry will be ignored.'],
+      ['The coverage setting `pathMappings[0].from` should be of type string, but got '
+        + 'undefined. The entry will be ignored.'],
+      ['The coverage setting `pathMappings[1]` should be of type object, but got string. '
+        + 'The entry will be ignored.'],
+    ]);
+    expect(result.thresholds[0].label).toBe('src/**');
+    expect(result.thresholds[0].thresholds.lines.threshold).toBe(50);
+  });
+
+  it('warns about and ignores a threshold that is not an object', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      '.dangercoveragerc': JSON.stringify({
+        threshold: '90',
+      }),
+    });
+
+    const result = await coverage({ threshold: { lines: 90 } });
+
+    expect(warn.mock.calls).toEqual([
+      ['The coverage setting `threshold` should be of type object, but got string.'],
+    ]);
+    expect(result.thresholds[0].thresholds).toEqual({
+      statements: { threshold: 80, percentage: 100, passed: true },
+      branches: { threshold: 80, percentage: 100, passed: true },
+      functions: { threshold: 80, percentage: 100, passed: true },
+      lines: { threshold: 90, percentage: 100, passed: true },
+    });
+  });
+
+  it('warns about settings that are not one of the allowed values', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    await coverage({
+      decreaseAction: 'error',
+      thresholdAction: { lines: 'error', patch: 'fail', line: 'warn' },
+      inlineComments: 'comment',
+      sortBy: 'line',
+      badgeMetric: 'line',
+    });
+
+    expect(warn.mock.calls).toEqual([
+      ['The coverage setting `decreaseAction` should be one of `fail`, `warn`, but got `"error"`.'],
+      ['The coverage setting `inlineComments` should be one of `fail`, `warn`, `message`, '
+        + '`markdown`, `true`, `false`, but got `"comment"`.'],
+      ['The coverage setting `sortBy` should be one of `statements`, `branches`, `functions`, '
+        + '`lines`, `uncovered`, `path`, `failing`, `null`, but got `"line"`.'],
+      ['The coverage setting `badgeMetric` should be one of `statements`, `branches`, '
+        + '`functions`, `lines`, but got `"line"`.'],
+      ['The coverage setting `thresholdAction.lines` should be one of `fail`, `warn`, `null`, '
+        + 'but got `"error"`.'],
+      ['Unknown key `line` in the coverage setting `thresholdAction`.'],
+    ]);
+  });
+
+  it('warns about a threshold action that is not allowed', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    await coverage({ thresholdAction: 'error' });
+
+    expect(warn.mock.calls).toEqual([
+      ['The coverage setting `thresholdAction` should be one of `fail`, `warn`, `null`, '
+        + 'but got `"error"`.'],
+    ]);
+  });
+
+  it('warns if a config file can not be parsed', async () => {
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      '.dangercoveragerc': '{ maxRows: 5 }',
+    });
+
+    await coverage();
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/^Could not parse `.dangercoveragerc`: /);
+  });
+});
@@ -0,0 +1,125 @@
+import path from 'path';
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS, DEFAULT_LINE } from '../constants';
+import {
+  getFileXml,
+  getMarkdownReport,
+  setupEnv,
+  wrapXmlReport,
+} from '../utils';
+
+const BASE_CLOVER_PATH = path.join(process.cwd(), 'artifacts', 'base', 'clover.xml');
+
+describe('Delta', () => {
+  beforeEach(setupEnv);
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  const setupReports = () => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', {
+        ...DEFAULT_METRICS,
+        coveredconditionals: 5,
+      }, [DEFAULT_LINE])),
+      [BASE_CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', {
+        ...DEFAULT_METRICS,
+        coveredstatements: 8,
+      }, [DEFAULT_LINE])),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: [],
+        modified_files: ['src/one.js'],
+      },
+    });
+  };
+
+  it('shows the change in each metric since the base report', async () => {
+    setupReports();
+
+    await coverage({ baseReportPath: './artifacts/base/clover.xml' });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(report).toMatchSnapshot();
+    expect(lines).toContain('|src/one.js|100 (+20)|50 (-50)|100 (0)|100 (0)||:x:|');
+    expect(lines).toContain(
+      'Impacted files: statements 100 (+20), branches 50 (-50), functions 100 (0), lines 100 (0)<br>',
+    );
+    expect(lines).toContain(
+      'Project: statements 100 (+20), branches 50 (-50), functions 100 (0), lines 100 (0)',
+    );
+  });
+
+  it('does not show a change for files not in the base report', async () => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(getFileXml('src/two.js', DEFAULT_METRICS, [DEFAULT_LINE])),
+      [BASE_CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE])),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/two.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({ baseReportPath: './artifacts/base/clover.xml' });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('|src/two.js|100|100|100|100||:white_check_mark:|');
+    expect(lines).toContain(
+      'Impacted files: statements 100, branches 100, functions 100, lines 100<br>',
+    );
+  });
+
+  it('warns when coverage decreases by more than the maximum allowed', async () => {
+    setupReports();
+
+    await coverage({
+      baseReportPath: './artifacts/base/clover.xml',
+      maxDecrease: 10,
+    });
+
+    expect(warn).toHaveBeenCalledWith(
+      'Coverage for branches in src/one.js decreased by 50% (from 100% to 50%)',
+    );
+    expect(warn).toHaveBeenCalledWith(
+      'Coverage for branches across the impacted files decreased by 50% (from 100% to 50%)',
+    );
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(fail).not.toHaveBeenCalled();
+  });
+
+  it('fails when coverage decreases by more than the maximum allowed', async () => {
+    setupReports();
+
+    await coverage({
+      baseReportPath: './artifacts/base/clover.xml',
+      maxDecrease: 10,
+      decreaseAction: 'fail',
+    });
+
+    expect(fail).toHaveBeenCalledTimes(2);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('does not warn when coverage decreases by less than the maximum allowed', async () => {
+    setupReports();
+
+    await coverage({
+      baseReportPath: './artifacts/base/clover.xml',
+      maxDecrease: 60,
+    });
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
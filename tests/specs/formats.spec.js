@@ -0,0 +1,520 @@
+import path from 'path';
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { getMarkdownReport, setupEnv } from '../utils';
+
+const LCOV_PATH = path.join(process.cwd(), 'coverage', 'lcov.info');
+const COBERTURA_PATH = path.join(process.cwd(), 'coverage.xml');
+const ISTANBUL_FINAL_PATH = path.join(process.cwd(), 'coverage', 'coverage-final.json');
+const JACOCO_PATH = path.join(process.cwd(), 'target', 'site', 'jacoco', 'jacoco.xml');
+const GO_PATH = path.join(process.cwd(), 'coverage.out');
+const ISTANBUL_SUMMARY_PATH = path.join(process.cwd(), 'coverage', 'coverage-summary.json');
+
+describe('Formats', () => {
+  beforeEach(setupEnv);
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  describe('LCOV', () => {
+    const lcovReport = [
+      'TN:',
+      'SF:src/one.js',
+      'FN:1,foo',
+      'FN:5,bar',
+      'FNDA:3,foo',
+      'FNDA:0,bar',
+      'FNF:2',
+      'FNH:1',
+      'DA:1,3',
+      'DA:2,3',
+      'DA:5,0',
+      'DA:6,0',
+      'LF:4',
+      'LH:2',
+      'BRDA:2,0,0,3',
+      'BRDA:2,0,1,-',
+      'BRF:2',
+      'BRH:1',
+      'end_of_record',
+      'TN:',
+      'SF:src/two.js',
+      'DA:1,1',
+      'end_of_record',
+    ].join('\n');
+
+    it('detects and reports an lcov.info report', async () => {
+      mockFs({
+        [LCOV_PATH]: lcovReport,
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/one.js', 'src/two.js'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|src/one.js|50|50|50|50|5-6|L2 (1/2)|:x:|');
+      expect(lines).toContain('|src/two.js|100|100|100|100|||:white_check_mark:|');
+    });
+
+    it('lists the uncovered functions from an lcov.info report', async () => {
+      mockFs({
+        [LCOV_PATH]: lcovReport,
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/one.js'],
+          modified_files: [],
+          commits: [{ sha: 'abc123' }],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const fileLink = '../blob/abc123/src/one.js';
+
+      expect(report).toContain('<summary>Uncovered functions (1)</summary>');
+      expect(report).toContain(`- [src/one.js](${fileLink}): [\`bar\`](${fileLink}#L5)`);
+    });
+
+    it('detects the format from the contents of a custom report', async () => {
+      const cloverReportPath = './custom/report.txt';
+
+      mockFs({
+        [path.join(process.cwd(), cloverReportPath)]: lcovReport,
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/two.js'],
+          modified_files: [],
+        },
+      });
+
+      await coverage({ cloverReportPath });
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|src/two.js|100|100|100|100||:white_check_mark:|');
+    });
+
+    it('derives metrics from the records when no totals are given', async () => {
+      mockFs({
+        [LCOV_PATH]: [
+          'SF:src/one.js',
+          'FN:1,foo',
+          'FNDA:0,foo',
+          'DA:1,1',
+          'DA:2,0',
+          'BRDA:1,0,0,1',
+          'BRDA:1,0,1,1',
+          'end_of_record',
+        ].join('\n'),
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/one.js'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|src/one.js|50|100|0|50|2|:x:|');
+    });
+  });
+
+  describe('Cobertura', () => {
+    const wrapCoberturaReport = (sources, classes) => `
+      <?xml version="1.0" ?>
+      <coverage version="7.3" line-rate="0.5" branch-rate="0.5" timestamp="123">
+        <sources>
+          ${sources.map((source) => `<source>${source}</source>`).join('')}
+        </sources>
+        <packages>
+          <package name="pkg" line-rate="0.5" branch-rate="0.5">
+            <classes>
+              ${classes.join('')}
+            </classes>
+          </package>
+        </packages>
+      </coverage>
+    `;
+
+    it('detects and reports a coverage.xml report', async () => {
+      mockFs({
+        [COBERTURA_PATH]: wrapCoberturaReport([process.cwd()], [`
+          <class name="one.py" filename="pkg/one.py" line-rate="0.5" branch-rate="0.5">
+            <methods>
+              <method name="foo" signature="()" line-rate="1">
+                <lines><line number="1" hits="1"/></lines>
+              </method>
+              <method name="bar" signature="()" line-rate="0">
+                <lines><line number="4" hits="0"/></lines>
+              </method>
+            </methods>
+            <lines>
+              <line number="1" hits="1"/>
+              <line number="2" hits="1" branch="true" condition-coverage="50% (1/2)"/>
+              <line number="3" hits="0"/>
+              <line number="4" hits="0"/>
+            </lines>
+          </class>
+        `]),
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['pkg/one.py'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|pkg/one.py|50|50|50|50|3-4|L2 (1/2)|:x:|');
+    });
+
+    it('lists the uncovered methods from a coverage.xml report', async () => {
+      mockFs({
+        [COBERTURA_PATH]: wrapCoberturaReport([process.cwd()], [`
+          <class name="one.py" filename="pkg/one.py" line-rate="0.5" branch-rate="1">
+            <methods>
+              <method name="foo" signature="()" line-rate="1">
+                <lines><line number="1" hits="1"/></lines>
+              </method>
+              <method name="bar" signature="()" line-rate="0">
+                <lines><line number="4" hits="0"/><line number="5" hits="0"/></lines>
+              </method>
+              <method name="baz" signature="()" line-rate="0"/>
+            </methods>
+            <lines>
+              <line number="1" hits="1"/>
+              <line number="4" hits="0"/>
+              <line number="5" hits="0"/>
+            </lines>
+          </class>
+        `]),
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['pkg/one.py'],
+          modified_files: [],
+          commits: [{ sha: 'abc123' }],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const fileLink = '../blob/abc123/pkg/one.py';
+
+      expect(report).toContain('<summary>Uncovered functions (2)</summary>');
+      expect(report).toContain(`- [pkg/one.py](${fileLink}): [\`bar\`](${fileLink}#L4), \`baz\``);
+    });
+
+    it('merges classes from the same source file', async () => {
+      mockFs({
+        [COBERTURA_PATH]: wrapCoberturaReport([process.cwd()], [`
+          <class name="Foo" filename="pkg/one.cs" line-rate="1" branch-rate="1">
+            <lines>
+              <line number="1" hits="1"/>
+              <line number="2" hits="1"/>
+            </lines>
+          </class>
+        `, `
+          <class name="Bar" filename="pkg/one.cs" line-rate="0" branch-rate="1">
+            <lines>
+              <line number="10" hits="0"/>
+              <line number="11" hits="0"/>
+            </lines>
+          </class>
+        `]),
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['pkg/one.cs'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|pkg/one.cs|50|100|100|50|10-11|:x:|');
+    });
+
+    it('resolves filenames against the source that contains them', async () => {
+      const sources = [
+        path.join(process.cwd(), 'lib'),
+        path.join(process.cwd(), 'src'),
+      ];
+
+      mockFs({
+        [COBERTURA_PATH]: wrapCoberturaReport(sources, [`
+          <class name="one.py" filename="one.py" line-rate="1" branch-rate="1">
+            <lines><line number="1" hits="1"/></lines>
+          </class>
+        `]),
+        [path.join(process.cwd(), 'src', 'one.py')]: '',
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/one.py'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|src/one.py|100|100|100|100||:white_check_mark:|');
+    });
+  });
+
+  describe('Istanbul', () => {
+    const getLocation = (line, endLine = line) => ({
+      start: { line, column: 0 },
+      end: { line: endLine, column: 10 },
+    });
+
+    it('reports a coverage-final.json report', async () => {
+      const filePath = path.join(process.cwd(), 'src', 'one.js');
+
+      mockFs({
+        [ISTANBUL_FINAL_PATH]: JSON.stringify({
+          [filePath]: {
+            path: filePath,
+            statementMap: {
+              0: getLocation(1),
+              1: getLocation(2),
+              2: getLocation(2),
+              3: getLocation(5, 7),
+            },
+            fnMap: {
+              0: { name: 'foo', decl: getLocation(1), loc: getLocation(1, 3) },
+              1: { name: 'bar', decl: getLocation(5), loc: getLocation(5, 7) },
+            },
+            branchMap: {
+              0: {
+                loc: getLocation(2),
+                type: 'if',
+                locations: [getLocation(2), getLocation(2)],
+              },
+            },
+            s: {
+              0: 1,
+              1: 1,
+              2: 0,
+              3: 0,
+            },
+            f: { 0: 1, 1: 0 },
+            b: { 0: [1, 0] },
+          },
+        }),
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/one.js'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|src/one.js|50|50|50|66.67|5|L2 (1/2)|:x:|');
+    });
+
+    it('reports a coverage-summary.json report', async () => {
+      const getSummary = (total, covered) => ({
+        total,
+        covered,
+        skipped: 0,
+        pct: (covered / total) * 100,
+      });
+
+      const summary = {
+        statements: getSummary(10, 9),
+        branches: getSummary(4, 2),
+        functions: getSummary(2, 2),
+        lines: getSummary(8, 8),
+      };
+
+      mockFs({
+        [ISTANBUL_SUMMARY_PATH]: JSON.stringify({
+          total: summary,
+          [path.join(process.cwd(), 'src', 'one.js')]: summary,
+        }),
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/one.js'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|src/one.js|90|50|100|100||:x:|');
+    });
+  });
+
+  describe('JaCoCo', () => {
+    const jacocoReport = `
+      <?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+      <!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">
+      <report name="example">
+        <package name="com/example">
+          <class name="com/example/Foo" sourcefilename="Foo.kt">
+            <method name="bar" desc="()V" line="3">
+              <counter type="METHOD" missed="0" covered="1"/>
+            </method>
+            <method name="baz" desc="()V" line="6">
+              <counter type="METHOD" missed="1" covered="0"/>
+            </method>
+          </class>
+          <sourcefile name="Foo.kt">
+            <line nr="3" mi="0" ci="4" mb="1" cb="1"/>
+            <line nr="4" mi="0" ci="2" mb="0" cb="0"/>
+            <line nr="6" mi="3" ci="0" mb="0" cb="0"/>
+            <counter type="INSTRUCTION" missed="3" covered="6"/>
+            <counter type="BRANCH" missed="1" covered="1"/>
+            <counter type="LINE" missed="1" covered="2"/>
+            <counter type="METHOD" missed="1" covered="1"/>
+          </sourcefile>
+        </package>
+      </report>
+    `;
+
+    it('detects and reports a jacoco.xml report', async () => {
+      mockFs({
+        [JACOCO_PATH]: jacocoReport,
+        [path.join(process.cwd(), 'src', 'main', 'kotlin', 'com', 'example', 'Foo.kt')]: '',
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['src/main/kotlin/com/example/Foo.kt'],
+          modified_files: [],
+        },
+      });
+
+      await coverage({ wrapFilenames: false });
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|src/main/kotlin/com/example/Foo.kt|66.67|50|50|66.67|6|L3 (1/2)|:x:|');
+    });
+
+    it('resolves source files against custom source roots', async () => {
+      mockFs({
+        [JACOCO_PATH]: jacocoReport,
+        [path.join(process.cwd(), 'app', 'src', 'main', 'kotlin', 'com', 'example', 'Foo.kt')]: '',
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['app/src/main/kotlin/com/example/Foo.kt'],
+          modified_files: [],
+        },
+      });
+
+      await coverage({
+        wrapFilenames: false,
+        sourceRoots: ['*/src/main/kotlin'],
+      });
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|app/src/main/kotlin/com/example/Foo.kt|66.67|50|50|66.67|6|L3 (1/2)|:x:|');
+    });
+  });
+
+  describe('Go', () => {
+    const goReport = [
+      'mode: set',
+      'github.com/org/repo/pkg/x.go:3.20,5.2 2 1',
+      'github.com/org/repo/pkg/x.go:7.20,8.10 1 1',
+      'github.com/org/repo/pkg/x.go:8.10,10.3 1 0',
+      'github.com/org/repo/pkg/x.go:12.2,13.2 1 0',
+    ].join('\n');
+
+    it('detects and reports a coverage.out report', async () => {
+      mockFs({
+        [GO_PATH]: goReport,
+        [path.join(process.cwd(), 'go.mod')]: 'module github.com/org/repo\n\ngo 1.21\n',
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['pkg/x.go'],
+          modified_files: [],
+        },
+      });
+
+      await coverage();
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|pkg/x.go|60|100|100|55.56|9-13|:x:|');
+    });
+
+    it('maps import paths for modules in a subdirectory', async () => {
+      mockFs({
+        [GO_PATH]: goReport,
+        [path.join(process.cwd(), 'services', 'api', 'go.mod')]: 'module github.com/org/repo\n',
+      });
+
+      Object.assign(danger, {
+        git: {
+          created_files: ['services/api/pkg/x.go'],
+          modified_files: [],
+        },
+      });
+
+      await coverage({ wrapFilenames: false });
+
+      const report = getMarkdownReport();
+      const lines = report.split('\n');
+
+      expect(lines).toContain('|services/api/pkg/x.go|60|100|100|55.56|9-13|:x:|');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS } from '../constants';
+import { getFileXml, setupEnv, wrapXmlReport } from '../utils';
+
+const getLine = (num, count) => ({ num, count, type: 'stmt' });
+
+const getStructuredDiff = (addedLines) => ({
+  chunks: [
+    {
+      changes: addedLines.map((ln) => ({ type: 'add', ln })),
+    },
+  ],
+});
+
+describe('Inline comments', () => {
+  beforeEach(setupEnv);
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  beforeEach(() => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport([
+        getFileXml('src/one.js', DEFAULT_METRICS, [
+          getLine(1, 0),
+          getLine(2, 0),
+          getLine(4, 0),
+          getLine(5, 1),
+          getLine(6, 0),
+          getLine(8, 0),
+          getLine(9, 1),
+          getLine(10, 0),
+        ]),
+        getFileXml('src/two.js', DEFAULT_METRICS, [
+          getLine(1, 0),
+          getLine(2, 0),
+        ]),
+      ].join('\n')),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: [],
+        modified_files: ['src/one.js', 'src/two.js'],
+        structuredDiffForFile: jest.fn(async (filePath) => (
+          getStructuredDiff(filePath === 'src/one.js' ? [2, 3, 4, 5, 6, 8, 10] : [1, 2])
+        )),
+      },
+    });
+  });
+
+  it('comments on groups of uncovered lines that were changed', async () => {
+    await coverage({ inlineComments: 'warn' });
+
+    expect(warn.mock.calls).toEqual([
+      ['Lines 2-4 are not covered by tests.', 'src/one.js', 2],
+      ['Lines 6-8 are not covered by tests.', 'src/one.js', 6],
+      ['Line 10 is not covered by tests.', 'src/one.js', 10],
+      ['Lines 1-2 are not covered by tests.', 'src/two.js', 1],
+    ]);
+  });
+
+  it('comments using warn when enabled with true', async () => {
+    await coverage({ inlineComments: true });
+
+    expect(warn).toHaveBeenCalledWith('Lines 2-4 are not covered by tests.', 'src/one.js', 2);
+    expect(warn).toHaveBeenCalledTimes(4);
+  });
+
+  it('comments using markdown', async () => {
+    await coverage({ inlineComments: 'markdown' });
+
+    expect(markdown).toHaveBeenCalledWith('Lines 2-4 are not covered by tests.', 'src/one.js', 2);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('limits the number of inline comments', async () => {
+    await coverage({ inlineComments: 'warn', maxInlineComments: 2 });
+
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not comment by default', async () => {
+    await coverage();
+
+    expect(warn).not.toHaveBeenCalled();
+    expect(markdown).toHaveBeenCalledTimes(1);
+    expect(danger.git.structuredDiffForFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS } from '../constants';
+import {
+  getFileXml,
+  getMarkdownReport,
+  setupEnv,
+  wrapXmlReport,
+} from '../utils';
+
+const git = {
+  created_files: ['src/one.js'],
+  modified_files: [],
+  commits: [{ sha: 'abc123' }],
+};
+
+describe('Links', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    setupEnv();
+
+    const file = getFileXml('src/one.js', DEFAULT_METRICS, [
+      { num: 1, count: 0, type: 'stmt' },
+      { num: 2, count: 1, type: 'stmt' },
+      { num: 3, count: 0, type: 'stmt' },
+      { num: 4, count: 0, type: 'stmt' },
+    ]);
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(file),
+    });
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+    process.env = { ...env };
+  });
+
+  it.each([
+    [
+      'GitHub',
+      {
+        github: {
+          pr: {
+            head: {
+              sha: 'def456',
+              repo: { html_url: 'https://github.com/org/repo' },
+            },
+          },
+        },
+      },
+      'https://github.com/org/repo/blob/def456/src/one.js',
+      ['#L1', '#L3-L4'],
+    ],
+    [
+      'GitLab',
+      {
+        gitlab: {
+          mr: {
+            sha: 'def456',
+            web_url: 'https://gitlab.com/org/repo/-/merge_requests/12',
+          },
+        },
+      },
+      'https://gitlab.com/org/repo/-/blob/def456/src/one.js',
+      ['#L1', '#L3-4'],
+    ],
+    [
+      'Bitbucket Server',
+      {
+        bitbucket_server: {
+          pr: {
+            fromRef: {
+              latestCommit: 'def456',
+              repository: {
+                links: {
+                  self: [{ href: 'https://bitbucket.example.com/projects/ORG/repos/repo/browse' }],
+                },
+              },
+            },
+          },
+        },
+      },
+      'https://bitbucket.example.com/projects/ORG/repos/repo/browse/src/one.js?at=def456',
+      ['#1', '#3-4'],
+    ],
+    [
+      'Bitbucket Cloud',
+      {
+        bitbucket_cloud: {
+          pr: {
+            source: {
+              commit: { hash: 'def456' },
+              repository: { full_name: 'org/repo' },
+            },
+          },
+        },
+      },
+      'https://bitbucket.org/org/repo/src/def456/src/one.js',
+      ['#lines-1', '#lines-3:4'],
+    ],
+  ])('links to the files on %s', async (_, platform, fileLink, [lineAnchor, rangeAnchor]) => {
+    Object.assign(danger, { git, ...platform });
+
+    await coverage();
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain(
+      `|[src/one.js](${fileLink})|100|100|100|25|[1](${fileLink}${lineAnchor}), [3-4](${fileLink}${rangeAnchor})|:x:|`,
+    );
+  });
+
+  it('links to the files on Azure DevOps', async () => {
+    Object.assign(danger, { git });
+    Object.assign(process.env, {
+      BUILD_REPOSITORY_PROVIDER: 'TfsGit',
+      BUILD_REPOSITORY_URI: 'https://dev.azure.com/org/project/_git/repo',
+      SYSTEM_PULLREQUEST_SOURCECOMMITID: 'def456',
+    });
+
+    await coverage();
+
+    const row = getMarkdownReport().split('\n').find((line) => line.startsWith('|[src/one.js]'));
+    const fileLink = 'https://dev.azure.com/org/project/_git/repo?path=/src/one.js&version=GCdef456';
+    const lineLink = `${fileLink}&line=3&lineEnd=5&lineStartColumn=1&lineEndColumn=1&lineStyle=plain`;
+
+    expect(row).toContain(`|[src/one.js](${fileLink})|100|100|100|25|`);
+    expect(row).toContain(`[3-4](${lineLink})`);
+  });
+
+  it('links to the files using a custom template', async () => {
+    Object.assign(danger, { git });
+
+    await coverage({
+      linkTemplate: 'https://git.example.com/repo/{sha}/{path}#lines-{start}-{end}',
+    });
+
+    const lines = getMarkdownReport().split('\n');
+    const fileLink = 'https://git.example.com/repo/abc123/src/one.js';
+
+    expect(lines).toContain(
+      `|[src/one.js](${fileLink})|100|100|100|25|[1](${fileLink}#lines-1-1), [3-4](${fileLink}#lines-3-4)|:x:|`,
+    );
+  });
+});
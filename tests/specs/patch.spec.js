@@ -0,0 +1,118 @@
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS } from '../constants';
+import {
+  getFileXml,
+  getMarkdownReport,
+  setupEnv,
+  wrapXmlReport,
+} from '../utils';
+
+const getLine = (num, count) => ({ num, count, type: 'stmt' });
+
+describe('Patch coverage', () => {
+  beforeEach(setupEnv);
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  beforeEach(() => {
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(getFileXml('src/one.js', DEFAULT_METRICS, [
+        getLine(1, 1),
+        getLine(2, 0),
+        getLine(3, 0),
+        getLine(4, 1),
+        getLine(5, 1),
+      ])),
+    });
+  });
+
+  it('reports the coverage of the lines added in the PR', async () => {
+    Object.assign(danger, {
+      git: {
+        created_files: [],
+        modified_files: ['src/one.js'],
+        structuredDiffForFile: jest.fn(async () => ({
+          chunks: [
+            {
+              changes: [
+                { type: 'normal', ln1: 1, ln2: 1 },
+                { type: 'del', ln: 2 },
+                { type: 'add', ln: 2 },
+                { type: 'add', ln: 4 },
+                { type: 'add', ln: 5 },
+                { type: 'add', ln: 6 },
+              ],
+            },
+          ],
+        })),
+      },
+    });
+
+    await coverage({ patchCoverage: true });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(report).toMatchSnapshot();
+    expect(danger.git.structuredDiffForFile).toHaveBeenCalledWith('src/one.js');
+    expect(lines).toContain('|Impacted Files|% Stmts|% Branch|% Funcs|% Lines|% Patch|Uncovered Lines||');
+    expect(lines).toContain('|src/one.js|100|100|100|60|66.67|2-3|:x:|');
+    expect(lines).toContain('Patch coverage: 66.67% (2 of 3 added or changed lines covered)');
+    expect(lines).toContain('Coverage threshold for patch (80%) not met: 66.67%');
+  });
+
+  it('reads the added lines from a text diff', async () => {
+    Object.assign(danger, {
+      git: {
+        created_files: [],
+        modified_files: ['src/one.js'],
+        diffForFile: jest.fn(async () => ({
+          diff: [
+            'diff --git a/src/one.js b/src/one.js',
+            '--- a/src/one.js',
+            '+++ b/src/one.js',
+            '@@ -1,3 +1,4 @@',
+            ' const a = 1;',
+            '-const b = 2;',
+            '+const b = 3;',
+            ' const c = 3;',
+            '+const d = 4;',
+          ].join('\n'),
+        })),
+      },
+    });
+
+    await coverage({ patchCoverage: true, patchThreshold: 50 });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|60|50|2-3|:x:|');
+    expect(lines).toContain('Patch coverage: 50% (1 of 2 added or changed lines covered)');
+    expect(lines).not.toContain('Coverage threshold for patch (50%) not met: 50%');
+  });
+
+  it('shows no patch coverage for files without any coverable added lines', async () => {
+    Object.assign(danger, {
+      git: {
+        created_files: [],
+        modified_files: ['src/one.js'],
+        structuredDiffForFile: jest.fn(async () => ({
+          chunks: [{ changes: [{ type: 'add', ln: 10 }] }],
+        })),
+      },
+    });
+
+    await coverage({ patchCoverage: true });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|60|-|2-3|:x:|');
+    expect(report).not.toContain('Patch coverage');
+  });
+});
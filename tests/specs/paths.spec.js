@@ -0,0 +1,114 @@
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS, DEFAULT_LINE } from '../constants';
+import {
+  getFileXml,
+  getMarkdownReport,
+  setupEnv,
+  wrapXmlReport,
+} from '../utils';
+
+describe('Paths', () => {
+  beforeEach(setupEnv);
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  it('rewrites the paths in the report using the path mappings', async () => {
+    const file = getFileXml('/app/lib/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(file),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['packages/core/src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({
+      pathMappings: [{ from: '/app/lib', to: 'packages/core/src' }],
+    });
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('|packages/core/src/one.js|100|100|100|100||:white_check_mark:|');
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('matches paths from another directory to the changed files', async () => {
+    const file = getFileXml('/app/src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(file),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage();
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
+  });
+
+  it('matches paths from another directory to the files on disk', async () => {
+    const files = [
+      getFileXml('/app/src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+      getFileXml('/app/src/two.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+    ];
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(files.join('\n')),
+      'src/two.js': 'export default 2;\n',
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({ showAllFiles: true });
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
+    expect(lines).toContain('|src/two.js|100|100|100|100||:white_check_mark:|');
+  });
+
+  it('warns if none of the files in the report are in the repo', async () => {
+    const file = getFileXml('/app/lib/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(file),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/two.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage();
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(
+      'None of the files in the coverage report could be found in the repo, such as '
+        + '`/app/lib/one.js`. If the report was generated in another directory use the '
+        + '`pathMappings` setting to map its paths.',
+    );
+    expect(markdown).not.toHaveBeenCalled();
+  });
+});
@@ -170,6 +170,73 @@ describe('Coverage Plugin', () => {
     expect(lines).toContain('|src/three.js|100|100|100|100||:white_check_mark:|');
   });
 
+  it('sums the metrics of all impacted files', async () => {
+    const fileOne = getFileXml('src/one.js', {
+      ...DEFAULT_METRICS,
+      coveredstatements: 5,
+    }, [DEFAULT_LINE]);
+    const fileTwo = getFileXml('src/two.js', {
+      ...DEFAULT_METRICS,
+      statements: 30,
+      coveredstatements: 30,
+    }, [DEFAULT_LINE, { num: 2, count: 0, type: 'stmt' }]);
+
+    const xmlReport = wrapXmlReport([fileOne, fileTwo].join('\n'));
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js', 'src/two.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage();
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(report).toMatchSnapshot();
+    expect(lines).toContain(
+      'Impacted files: statements 87.5, branches 100, functions 100, lines 66.67<br>',
+    );
+    expect(lines).toContain('|**Total**|**87.5**|**100**|**100**|**66.67**||:x:|');
+    expect(lines).toContain('Coverage threshold for lines (80%) not met: 66.67%');
+  });
+
+  it('reports the project total from the project metrics', async () => {
+    const fileOne = getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+    const fileTwo = getFileXml('src/two.js', DEFAULT_METRICS, [{ num: 1, count: 0, type: 'stmt' }]);
+
+    const xmlReport = wrapXmlReport(`
+      <metrics statements="40" coveredstatements="10" conditionals="0" coveredconditionals="0" methods="4" coveredmethods="3" />
+      ${fileOne}
+      ${fileTwo}
+    `);
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage();
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('Project: statements 25, branches 100, functions 75, lines 50');
+    expect(lines).not.toContain('|**Total**|**100**|**100**|**100**|**100**||:white_check_mark:|');
+  });
+
   it('only includes rows that have been created or modified', async () => {
     const fileOne = getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
     const fileTwo = getFileXml('src/two.js', DEFAULT_METRICS, [DEFAULT_LINE]);
@@ -452,7 +519,16 @@ describe('Coverage Plugin', () => {
       type: 'stmt',
     });
 
-    const fileOneLines = new Array(11).fill().map((_, i) => getUncoveredLine(i + 1));
+    const getCoveredLine = (num) => ({
+      num,
+      count: 1,
+      type: 'stmt',
+    });
+
+    // Every other line is covered, so that no uncovered lines are consecutive
+    const fileOneLines = new Array(22).fill().map((_, i) => (
+      i % 2 ? getCoveredLine(i + 1) : getUncoveredLine(i + 1)
+    ));
     const fileOne = getFileXml(path.join(process.cwd(), '/src/one.js'), DEFAULT_METRICS, fileOneLines);
 
     const fileTwoLines = [getUncoveredLine(1)];
@@ -483,10 +559,45 @@ describe('Coverage Plugin', () => {
     const lines = report.split('\n');
 
     expect(report).toMatchSnapshot();
-    expect(lines).toContain('|src/one.js|100|100|100|0|1, 2, 3, 4, 5, 6, 7, 8, 9, 10...|:x:|');
+    expect(lines).toContain('|src/one.js|100|100|100|50|1, 3, 5, 7, 9, 11, 13, 15, 17, 19...|:x:|');
     expect(lines).toContain('|src/two.js|100|100|100|0|1|:x:|');
   });
 
+  it('collapses consecutive uncovered lines into ranges', async () => {
+    const file = getFileXml('src/one.js', DEFAULT_METRICS, [
+      ...[12, 13, 14, 15, 16].map((num) => ({ num, count: 0, type: 'stmt' })),
+      { num: 20, count: 1, type: 'stmt' },
+      { num: 40, count: 0, type: 'stmt' },
+      { num: 50, count: 1, type: 'stmt' },
+      // Lines with nothing to cover between them are also collapsed
+      ...[88, 90, 93].map((num) => ({ num, count: 0, type: 'stmt' })),
+    ]);
+
+    const xmlReport = wrapXmlReport(file);
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+        commits: [{ sha: 'abc123' }],
+      },
+    });
+
+    await coverage({ maxUncovered: 2 });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+    const fileLink = '../blob/abc123/src/one.js';
+
+    expect(lines).toContain(
+      `|[src/one.js](${fileLink})|100|100|100|18.18|[12-16](${fileLink}#L12-L16), [40](${fileLink}#L40)...|:x:|`,
+    );
+  });
+
   it('reports uncovered lines with link if sha available', async () => {
     const file = getFileXml(path.join(process.cwd(), '/src/one.js'), DEFAULT_METRICS, [
       {
@@ -519,4 +630,106 @@ describe('Coverage Plugin', () => {
     expect(report).toMatchSnapshot();
     expect(lines).toContain(`|[src/one.js](${fileLink})|100|100|100|0|[1](${fileLink}#L1)|:x:|`);
   });
+
+  it('reports partially covered branches with link if sha available', async () => {
+    const file = getFileXml(path.join(process.cwd(), '/src/one.js'), DEFAULT_METRICS, [
+      { num: 1, count: 1, type: 'stmt' },
+      {
+        num: 2,
+        count: 3,
+        type: 'cond',
+        truecount: 1,
+        falsecount: 1,
+      },
+      {
+        num: 3,
+        count: 3,
+        type: 'cond',
+        truecount: 2,
+        falsecount: 0,
+      },
+      {
+        num: 4,
+        count: 3,
+        type: 'cond',
+        truecount: 1,
+        falsecount: 3,
+      },
+    ]);
+
+    const xmlReport = wrapXmlReport([file].join('\n'));
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+        commits: [{ sha: 'abc123' }],
+      },
+    });
+
+    await coverage();
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+    const fileLink = '../blob/abc123/src/one.js';
+
+    expect(lines).toContain('|Impacted Files|% Stmts|% Branch|% Funcs|% Lines|Uncovered Lines|Uncovered Branches||');
+    expect(lines).toContain(
+      `|[src/one.js](${fileLink})|100|100|100|100||[L2 (1/2)](${fileLink}#L2), [L4 (1/4)](${fileLink}#L4)|:white_check_mark:|`,
+    );
+  });
+
+  it('lists uncovered functions by name with link if sha available', async () => {
+    const files = [
+      getFileXml(path.join(process.cwd(), '/src/one.js'), DEFAULT_METRICS, [
+        {
+          num: 1,
+          count: 1,
+          type: 'method',
+          name: 'parseBody',
+        },
+        {
+          num: 5,
+          count: 0,
+          type: 'method',
+          name: 'parseHeader',
+        },
+        { num: 6, count: 0, type: 'stmt' },
+      ]),
+      getFileXml(path.join(process.cwd(), '/src/two.js'), DEFAULT_METRICS, [DEFAULT_LINE]),
+    ];
+
+    const xmlReport = wrapXmlReport(files.join('\n'));
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js', 'src/two.js'],
+        modified_files: [],
+        commits: [{ sha: 'abc123' }],
+      },
+    });
+
+    await coverage();
+
+    const report = getMarkdownReport();
+    const fileLink = '../blob/abc123/src/one.js';
+
+    expect(report).toContain([
+      '<details>',
+      '<summary>Uncovered functions (1)</summary>',
+      '',
+      `- [src/one.js](${fileLink}): [\`parseHeader\`](${fileLink}#L5)`,
+      '</details>',
+    ].join('\n'));
+    expect(report).not.toContain('parseBody');
+    expect(report).not.toContain('- [src/two.js]');
+  });
 });
@@ -0,0 +1,97 @@
+import mockFs from 'mock-fs';
+
+import coverage, { columns } from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS, DEFAULT_LINE } from '../constants';
+import {
+  getFileXml,
+  getMarkdownReport,
+  setupEnv,
+  wrapXmlReport,
+} from '../utils';
+
+describe('Renderer', () => {
+  beforeEach(() => {
+    setupEnv();
+
+    const files = [
+      getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+      getFileXml('src/two.js', { ...DEFAULT_METRICS, coveredstatements: 5 }, [
+        { num: 1, count: 0, type: 'stmt' },
+      ]),
+    ];
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(files.join('\n')),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js', 'src/two.js'],
+        modified_files: [],
+      },
+    });
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  it('renders the given columns', async () => {
+    await coverage({
+      renderer: {
+        columns: [
+          'file',
+          { ...columns.lines, heading: 'Lines' },
+          {
+            heading: 'Owner',
+            align: 'right',
+            cell: (row) => (row.path.endsWith('one.js') ? '@alice' : '@bob'),
+          },
+          'status',
+        ],
+      },
+    });
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('|Impacted Files|Lines|Owner||');
+    expect(lines).toContain('|---|:-:|--:|:-:|');
+    expect(lines).toContain('|src/one.js|100|@alice|:white_check_mark:|');
+    expect(lines).toContain('|src/two.js|0|@bob|:x:|');
+    expect(lines).toContain('|**Total**|**50**||:x:|');
+  });
+
+  it('uses custom status icons', async () => {
+    await coverage({
+      renderer: {
+        icons: {
+          passed: ':green_circle:',
+          failed: ':red_circle:',
+        },
+      },
+    });
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|100||:green_circle:|');
+    expect(lines).toContain('|src/two.js|50|100|100|0|1|:red_circle:|');
+  });
+
+  it('uses custom section templates', async () => {
+    await coverage({
+      renderer: {
+        templates: {
+          report: ({ summary, table }) => `### Coverage\n\n${table}\n\n${summary}`,
+          summary: ({ passed, totals }) => (
+            `${passed ? 'Passed' : 'Failed'} with ${totals[0].percentages.lines}% of lines covered`
+          ),
+        },
+      },
+    });
+
+    const report = getMarkdownReport();
+
+    expect(report.startsWith('### Coverage\n\n|Impacted Files|')).toBe(true);
+    expect(report.endsWith('\n\nFailed with 50% of lines covered')).toBe(true);
+  });
+});
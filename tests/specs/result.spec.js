@@ -0,0 +1,102 @@
+import fs from 'fs';
+import mockFs from 'mock-fs';
+
+import coverage from '../../src';
+import { CLOVER_PATH, DEFAULT_METRICS } from '../constants';
+import { getFileXml, setupEnv, wrapXmlReport } from '../utils';
+
+describe('Result', () => {
+  beforeEach(() => {
+    setupEnv();
+
+    const file = getFileXml('src/one.js', { ...DEFAULT_METRICS, coveredconditionals: 5 }, [
+      { num: 1, count: 1, type: 'stmt' },
+      {
+        num: 2,
+        count: 1,
+        type: 'cond',
+        truecount: 1,
+        falsecount: 1,
+      },
+      {
+        num: 3,
+        count: 0,
+        type: 'method',
+        name: 'parseHeader',
+      },
+      { num: 4, count: 0, type: 'stmt' },
+    ]);
+
+    mockFs({
+      [CLOVER_PATH]: wrapXmlReport(file),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  it('resolves with the results', async () => {
+    const result = await coverage();
+
+    const metrics = {
+      statements: { total: 10, covered: 10, percentage: 100 },
+      branches: { total: 10, covered: 5, percentage: 50 },
+      functions: { total: 10, covered: 10, percentage: 100 },
+      lines: { total: 3, covered: 2, percentage: 66.67 },
+    };
+
+    const thresholds = {
+      statements: { threshold: 80, percentage: 100, passed: true },
+      branches: { threshold: 80, percentage: 50, passed: false },
+      functions: { threshold: 80, percentage: 100, passed: true },
+      lines: { threshold: 80, percentage: 66.67, passed: false },
+    };
+
+    expect(result).toEqual({
+      passed: false,
+      files: [
+        {
+          path: 'src/one.js',
+          missing: false,
+          metrics,
+          thresholds,
+          passed: false,
+          uncoveredLines: [4],
+          uncoveredBranches: [{ line: 2, covered: 1, total: 2 }],
+          uncoveredFunctions: [{ name: 'parseHeader', line: 3 }],
+        },
+      ],
+      total: metrics,
+      project: metrics,
+      thresholds: [
+        {
+          label: null,
+          files: ['src/one.js'],
+          thresholds,
+          passed: false,
+        },
+      ],
+      patch: null,
+    });
+  });
+
+  it('resolves with null if there is nothing to report', async () => {
+    danger.git.created_files = [];
+
+    expect(await coverage()).toBeNull();
+  });
+
+  it('writes the results to a JSON file', async () => {
+    const result = await coverage({ jsonReportPath: 'artifacts/coverage.json' });
+
+    expect(JSON.parse(fs.readFileSync('artifacts/coverage.json', 'utf8'))).toEqual(result);
+  });
+});
@@ -99,6 +99,68 @@ describe('Settings', () => {
     expect(lines).toContain('|from-custom-report.js|100|100|100|100||:white_check_mark:|');
   });
 
+  it('loads and merges the reports matching a glob', async () => {
+    const fileOne = getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+    const fileTwo = getFileXml('src/two.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+
+    mockFs({
+      [path.join(process.cwd(), 'packages/one/coverage/clover.xml')]: wrapXmlReport(fileOne),
+      [path.join(process.cwd(), 'packages/two/coverage/clover.xml')]: wrapXmlReport(fileTwo),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js', 'src/two.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({ cloverReportPath: 'packages/*/coverage/clover.xml' });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
+    expect(lines).toContain('|src/two.js|100|100|100|100||:white_check_mark:|');
+  });
+
+  it('unions the line hits of files covered by multiple reports', async () => {
+    const unitFile = getFileXml('src/one.js', DEFAULT_METRICS, [
+      { num: 1, count: 1, type: 'stmt' },
+      { num: 2, count: 0, type: 'stmt' },
+      { num: 3, count: 0, type: 'stmt' },
+    ]);
+    const integrationFile = getFileXml('src/one.js', DEFAULT_METRICS, [
+      { num: 1, count: 0, type: 'stmt' },
+      { num: 2, count: 1, type: 'stmt' },
+      { num: 3, count: 0, type: 'stmt' },
+    ]);
+
+    mockFs({
+      [path.join(process.cwd(), 'coverage/unit/clover.xml')]: wrapXmlReport(unitFile),
+      [path.join(process.cwd(), 'coverage/integration/clover.xml')]: wrapXmlReport(integrationFile),
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({
+      cloverReportPath: [
+        './coverage/unit/clover.xml',
+        './coverage/integration/clover.xml',
+      ],
+    });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|66.67|3|:x:|');
+  });
+
   it('limits the number of rows', async () => {
     const files = new Array(10).fill().map((_, i) => (
       getFileXml(i, DEFAULT_METRICS, [DEFAULT_LINE])
@@ -125,6 +187,47 @@ describe('Settings', () => {
     expect(lines).toContain('and 8 more...');
   });
 
+  it.each([
+    ['lines', ['src/c.js', 'src/b.js', 'src/a.js']],
+    ['branches', ['src/b.js', 'src/c.js', 'src/a.js']],
+    ['uncovered', ['src/c.js', 'src/b.js', 'src/a.js']],
+    ['path', ['src/a.js', 'src/b.js', 'src/c.js']],
+    ['failing', ['src/c.js', 'src/b.js', 'src/a.js']],
+  ])('sorts the rows by %s', async (sortBy, expectedOrder) => {
+    const getLines = (covered, uncovered) => [
+      ...new Array(covered).fill().map((_, i) => ({ num: i + 1, count: 1, type: 'stmt' })),
+      ...new Array(uncovered).fill().map((_, i) => ({ num: covered + i + 1, count: 0, type: 'stmt' })),
+    ];
+
+    const files = [
+      getFileXml('src/a.js', DEFAULT_METRICS, getLines(10, 0)),
+      getFileXml('src/c.js', { ...DEFAULT_METRICS, coveredconditionals: 8 }, getLines(1, 3)),
+      getFileXml('src/b.js', { ...DEFAULT_METRICS, coveredconditionals: 2 }, getLines(9, 1)),
+    ];
+    const xmlReport = wrapXmlReport(files.join('\n'));
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/a.js', 'src/b.js', 'src/c.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({ sortBy });
+
+    const report = getMarkdownReport();
+    const rowOrder = report
+      .split('\n')
+      .filter((line) => line.startsWith('|src/'))
+      .map((line) => line.split('|')[1]);
+
+    expect(rowOrder).toEqual(expectedOrder);
+  });
+
   it('shows all files', async () => {
     const file = getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
     const xmlReport = wrapXmlReport(file);
@@ -149,6 +252,136 @@ describe('Settings', () => {
     expect(lines).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
   });
 
+  it.each([
+    [{ include: ['src/**'], exclude: ['**/*.stories.js'] }],
+    [{ exclude: ['**/*.stories.js', 'test/**'] }],
+  ])('filters the reported files with include and exclude globs: %j', async (globs) => {
+    const files = [
+      getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+      getFileXml('src/one.stories.js', DEFAULT_METRICS, [{ num: 1, count: 0, type: 'stmt' }]),
+      getFileXml('test/helpers.js', DEFAULT_METRICS, [{ num: 1, count: 0, type: 'stmt' }]),
+    ];
+    const xmlReport = wrapXmlReport(files.join('\n'));
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js', 'src/one.stories.js', 'test/helpers.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage(globs);
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('> :+1: Test coverage is looking good.');
+    expect(lines).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
+    expect(report).not.toContain('src/one.stories.js');
+    expect(report).not.toContain('test/helpers.js');
+  });
+
+  it('filters all files with include and exclude globs', async () => {
+    const files = [
+      getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+      getFileXml('src/generated/two.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+    ];
+    const xmlReport = wrapXmlReport(files.join('\n'));
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: [],
+        modified_files: [],
+      },
+    });
+
+    await coverage({
+      showAllFiles: true,
+      exclude: ['src/generated/**'],
+    });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
+    expect(report).not.toContain('src/generated/two.js');
+  });
+
+  it('leaves excluded files out of the project summary', async () => {
+    const files = [
+      getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]),
+      getFileXml('src/a.js', {
+        statements: 10,
+        coveredstatements: 0,
+        conditionals: 0,
+        coveredconditionals: 0,
+        methods: 2,
+        coveredmethods: 0,
+      }, [{ num: 1, count: 0, type: 'stmt' }]),
+    ];
+    const xmlReport = wrapXmlReport(`
+      <metrics statements="20" coveredstatements="10" conditionals="10" coveredconditionals="10" methods="12" coveredmethods="10" />
+      ${files.join('\n')}
+    `);
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js', 'src/a.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({ exclude: ['src/a.js'] });
+
+    const lines = getMarkdownReport().split('\n');
+
+    expect(lines).toContain('Project: statements 100, branches 100, functions 100, lines 100');
+  });
+
+  it('reports changed source files that are missing from the report', async () => {
+    const file = getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+    const xmlReport = wrapXmlReport(file);
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+      'src/two.js': 'const a = 1;\n\nexport default a;\n',
+      'docs/readme.md': '# Docs\n',
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/two.js', 'docs/readme.md'],
+        modified_files: ['src/one.js'],
+      },
+    });
+
+    await coverage({
+      sourceFiles: ['src/**/*.js'],
+      thresholdAction: 'fail',
+    });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(lines).toContain('|src/one.js|100|100|100|100||:white_check_mark:|');
+    expect(lines).toContain('|src/two.js|0|-|-|0|Not covered by any test|:x:|');
+    expect(report).not.toContain('docs/readme.md');
+    expect(fail).toHaveBeenCalledTimes(1);
+    expect(fail).toHaveBeenCalledWith('Coverage threshold for lines (80%) not met: 33.33%');
+  });
+
   it('uses custom thresholds', async () => {
     const file = getFileXml('src/one.js', {
       statements: 10,
@@ -199,6 +432,136 @@ describe('Settings', () => {
     expect(lines).toContain('|src/one.js|90|90|90|50|1|:x:|');
   });
 
+  it.each(['fail', 'warn'])('calls %s when thresholds are not met', async (thresholdAction) => {
+    const file = getFileXml('src/one.js', {
+      ...DEFAULT_METRICS,
+      coveredconditionals: 5,
+    }, [DEFAULT_LINE]);
+    const xmlReport = wrapXmlReport(file);
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({ thresholdAction });
+
+    expect(global[thresholdAction]).toHaveBeenCalledTimes(1);
+    expect(global[thresholdAction]).toHaveBeenCalledWith(
+      'Coverage threshold for branches (80%) not met: 50%',
+    );
+  });
+
+  it('takes a different action per metric when thresholds are not met', async () => {
+    const file = getFileXml('src/one.js', {
+      ...DEFAULT_METRICS,
+      coveredconditionals: 5,
+    }, [{ num: 1, count: 0, type: 'stmt' }]);
+    const xmlReport = wrapXmlReport(file);
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({
+      thresholdAction: {
+        lines: 'fail',
+        branches: 'warn',
+      },
+    });
+
+    expect(fail).toHaveBeenCalledTimes(1);
+    expect(fail).toHaveBeenCalledWith('Coverage threshold for lines (80%) not met: 0%');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith('Coverage threshold for branches (80%) not met: 50%');
+  });
+
+  it('does not fail or warn when thresholds are met', async () => {
+    const file = getFileXml('src/one.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+    const xmlReport = wrapXmlReport(file);
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/one.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({ thresholdAction: 'fail' });
+
+    expect(fail).not.toHaveBeenCalled();
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('uses threshold overrides for matching paths', async () => {
+    const legacyFile = getFileXml('src/legacy/old.js', {
+      ...DEFAULT_METRICS,
+      coveredconditionals: 5,
+    }, [DEFAULT_LINE]);
+    const coreFile = getFileXml('src/core/new.js', {
+      ...DEFAULT_METRICS,
+      coveredconditionals: 9,
+    }, [DEFAULT_LINE]);
+    const otherFile = getFileXml('src/other.js', DEFAULT_METRICS, [DEFAULT_LINE]);
+    const xmlReport = wrapXmlReport([legacyFile, coreFile, otherFile].join('\n'));
+
+    mockFs({
+      [CLOVER_PATH]: xmlReport,
+    });
+
+    Object.assign(danger, {
+      git: {
+        created_files: ['src/legacy/old.js', 'src/core/new.js', 'src/other.js'],
+        modified_files: [],
+      },
+    });
+
+    await coverage({
+      thresholdOverrides: [
+        {
+          files: 'src/legacy/**',
+          threshold: { branches: 50 },
+        },
+        {
+          files: ['src/core/**'],
+          threshold: { branches: 95 },
+        },
+      ],
+    });
+
+    const report = getMarkdownReport();
+    const lines = report.split('\n');
+
+    expect(report).toMatchSnapshot();
+    expect(lines).toContain('|src/legacy/old.js|100|50|100|100||:white_check_mark:<sup>1</sup>|');
+    expect(lines).toContain('|src/core/new.js|100|90|100|100||:x:<sup>2</sup>|');
+    expect(lines).toContain('|src/other.js|100|100|100|100||:white_check_mark:|');
+    expect(lines).toContain('Coverage threshold for branches in src/core/** (95%) not met: 90%');
+    expect(lines).toContain(
+      '<sup>1</sup> Thresholds for `src/legacy/**`: statements 80%, branches 50%, functions 80%, lines 80%<br>',
+    );
+    expect(lines).toContain(
+      '<sup>2</sup> Thresholds for `src/core/**`: statements 80%, branches 95%, functions 80%, lines 80%',
+    );
+  });
+
   it('makes paths even shorter', async () => {
     const longPath = 'ab/cd/ef/gh/ij/kl/mn'; // 20 chars
     const file = getFileXml(longPath, DEFAULT_METRICS, [DEFAULT_LINE]);